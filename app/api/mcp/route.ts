@@ -1,10 +1,23 @@
+import { randomUUID } from "node:crypto";
 import { NextRequest, NextResponse } from "next/server";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest, isJSONRPCRequest, JSONRPCMessageSchema } from "@modelcontextprotocol/sdk/types.js";
+import type { JSONRPCRequest } from "@modelcontextprotocol/sdk/types.js";
+import { InsufficientScopeError, InvalidTokenError, OAuthError } from "@modelcontextprotocol/sdk/server/auth/errors.js";
+import type { AuthInfo } from "@modelcontextprotocol/sdk/server/auth/types.js";
 import { makeSupabase } from "@/lib/supabase";
+import { listCrmTools, registerCrmTools } from "@/lib/register-crm-tools";
+import { handleStreamableHttp } from "@/lib/streamable-http";
+import { InMemoryEventStore, SessionRegistry } from "@/lib/mcp-sessions";
+import { authInfoForToken, loadRolePolicy, roleFor } from "@/lib/access-control";
+import { toolOptionsFromEnv } from "@/lib/tool-options";
+import { RateLimiter, rateLimitRulesFromEnv } from "@/lib/rate-limit";
+import { bearerChallenge, getOAuthConfig, resourceMetadataUrlFor, resourceUrlFor, verifyAccessToken } from "@/lib/oauth";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
 
-/**
- * Optional: super-simple token guard using a query param (?token=...).
- * Use this only as a stopgap until you wire OAuth.
- */
 function getAuthTokenFromHeader(req: NextRequest): string | null {
   const auth = req.headers.get("authorization") || req.headers.get("Authorization");
   if (!auth) return null;
@@ -12,200 +25,285 @@ function getAuthTokenFromHeader(req: NextRequest): string | null {
   return m ? m[1] : null;
 }
 
-function assertToken(req: NextRequest) {
-  const required = process.env.MCP_TOKEN;
-  if (!required) return; // no token configured
-  
-  const got = req.nextUrl.searchParams.get("token") || getAuthTokenFromHeader(req);
-  if (got !== required) {
-    throw new Response("Unauthorized", { status: 401 });
+function authError(status: number, resourceMetadataUrl: string, error?: OAuthError) {
+  const body = error
+    ? error.toResponseObject()
+    : { error: "invalid_token", error_description: "Missing bearer token" };
+  const res = NextResponse.json(body, { status });
+  res.headers.set("WWW-Authenticate", bearerChallenge(resourceMetadataUrl, error));
+  return res;
+}
+
+let rolePolicy: ReturnType<typeof loadRolePolicy> | undefined;
+
+function getRolePolicy() {
+  if (rolePolicy === undefined) rolePolicy = loadRolePolicy();
+  return rolePolicy;
+}
+
+/**
+ * Authenticate the caller. With MCP_OAUTH_ISSUER set, bearer JWTs from that
+ * issuer are verified against its JWKS. MCP_TOKEN and the per-role tokens
+ * from the role policy are accepted as static secrets (query param or
+ * bearer header).
+ * Throws a ready-made 401/403 response on failure.
+ */
+async function authenticate(req: NextRequest): Promise<AuthInfo | undefined> {
+  const oauth = getOAuthConfig();
+  const policy = getRolePolicy();
+  const staticToken = process.env.MCP_TOKEN;
+  const hasRoleTokens = !!policy && Object.keys(policy.tokens).length > 0;
+  if (!oauth && !staticToken && !hasRoleTokens) return undefined; // no auth configured
+
+  const bearer = getAuthTokenFromHeader(req);
+  const presented = bearer || req.nextUrl.searchParams.get("token");
+  if (staticToken && presented === staticToken) {
+    return { token: staticToken, clientId: "mcp-token", scopes: [] };
   }
+  const tokenAuth = authInfoForToken(policy, presented);
+  if (tokenAuth) return tokenAuth;
+  if (!oauth) throw new Response("Unauthorized", { status: 401 });
+
+  const resourceUrl = resourceUrlFor(req.nextUrl.origin, oauth);
+  const metadataUrl = resourceMetadataUrlFor(resourceUrl);
+  if (!bearer) throw authError(401, metadataUrl);
+
+  try {
+    return await verifyAccessToken(bearer, oauth, resourceUrl);
+  } catch (error) {
+    if (error instanceof InsufficientScopeError) throw authError(403, metadataUrl, error);
+    if (error instanceof InvalidTokenError) throw authError(401, metadataUrl, error);
+    throw error;
+  }
+}
+
+/** Sessions belong to whoever opened them; other callers can't reuse the id. */
+function sessionOwner(authInfo?: AuthInfo) {
+  const sub = authInfo?.extra?.sub;
+  return typeof sub === "string" ? sub : authInfo?.clientId ?? null;
 }
 
-function withCors(res: NextResponse) {
+function withCors(res: Response) {
   res.headers.set("Access-Control-Allow-Origin", "*");
   res.headers.set("Access-Control-Allow-Methods", "GET,POST,DELETE,OPTIONS");
-  res.headers.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.headers.set("Access-Control-Allow-Headers", "Content-Type, Authorization, Accept, Mcp-Protocol-Version, Mcp-Session-Id, Last-Event-ID");
+  res.headers.set("Access-Control-Expose-Headers", "Mcp-Session-Id, WWW-Authenticate, Retry-After");
   res.headers.set("Access-Control-Max-Age", "86400");
   return res;
 }
 
-// Central list of tool descriptors (keep in sync with register-crm-tools.js)
-const TOOL_DESCRIPTORS = [
-  { name: "crm_create_contact", description: "Create a new contact record" },
-  { name: "crm_upsert_company", description: "Create or update a company by name" },
-  { name: "crm_update_deal", description: "Update a deal's stage and status" },
-  { name: "crm_add_deal_note", description: "Add a note to a deal" },
-  { name: "crm_add_lead_note", description: "Add a note to a lead" },
-  { name: "crm_add_contact_note", description: "Add a note to a contact" },
-  { name: "crm_add_company_note", description: "Add a note to a company" },
-  { name: "crm_add_note", description: "Attach a note to contact/company/deal/lead" },
-  { name: "crm_create_lead", description: "Create a new lead record" },
-  { name: "crm_update_lead_status", description: "Update a lead's status" },
-  { name: "crm_search_contacts", description: "Search for contacts by name or email" },
-  { name: "crm_search_companies", description: "Search for companies by name" },
-  { name: "crm_search_deals", description: "Search for deals by title, company, or contact person" },
-  { name: "crm_search_leads", description: "Search for leads by name, email, or company" },
-  { name: "crm_get_deals_by_contact", description: "Get all deals associated with a specific contact ID" },
-  { name: "crm_get_contact_deal_associations", description: "Get detailed information about how a contact is associated with deals" },
-  { name: "crm_cancel_deal", description: "Move a deal to cancelled/lost status" },
-  { name: "crm_list_contact_deals", description: "List all deals for a specific contact" },
-  // Generic updates
-  { name: "crm_update_contact", description: "Update any allowed fields on a contact" },
-  { name: "crm_update_company", description: "Update any allowed fields on a company" },
-  { name: "crm_update_lead", description: "Update any allowed fields on a lead" },
-  { name: "crm_update_deal_generic", description: "Update any allowed fields on a deal" },
-  // Linking
-  { name: "crm_link_contact_company", description: "Link a contact to a company" },
-  { name: "crm_unlink_contact_company", description: "Unlink a contact from its company" },
-  { name: "crm_link_contact_deal", description: "Link a contact to a deal" },
-  { name: "crm_unlink_contact_deal", description: "Unlink a contact from a deal" },
-  { name: "crm_link_company_deal", description: "Link a company to a deal" },
-  { name: "crm_unlink_company_deal", description: "Unlink a company from a deal" }
-];
-
-function parseCsv(value: string | undefined | null): Set<string> | null {
-  if (!value) return null;
-  const set = new Set<string>();
-  for (const part of value.split(",")) {
-    const n = part.trim();
-    if (n) set.add(n);
-  }
-  return set;
+function jsonRpcError(status: number, code: number, message: string, id: string | number | null = null, data?: unknown) {
+  return NextResponse.json(
+    { jsonrpc: "2.0", id, error: { code, message, ...(data !== undefined ? { data } : {}) } },
+    { status }
+  );
 }
 
-function filterToolsForEnv(tools: { name: string; description: string }[]) {
-  const allow = parseCsv(process.env.MCP_ALLOW_TOOLS);
-  const deny = parseCsv(process.env.MCP_DENY_TOOLS);
-  let out = tools;
-  if (allow && allow.size > 0) {
-    out = out.filter(t => allow.has(t.name));
+/**
+ * Check the JSON-RPC envelope (single message or batch) before the transport
+ * sees it, so malformed input gets -32600 Invalid Request rather than the
+ * transport's catch-all parse error. Returns null when the body is valid.
+ */
+function validateJsonRpc(body: unknown) {
+  const batch = Array.isArray(body);
+  const messages: unknown[] = batch ? (body as unknown[]) : [body];
+  if (messages.length === 0) {
+    return jsonRpcError(400, -32600, "Invalid Request: empty batch");
   }
-  if (deny && deny.size > 0) {
-    out = out.filter(t => !deny.has(t.name));
+
+  for (let i = 0; i < messages.length; i++) {
+    if (JSONRPCMessageSchema.safeParse(messages[i]).success) continue;
+
+    const raw = messages[i] as { id?: unknown } | null;
+    const id = raw && (typeof raw.id === "string" || typeof raw.id === "number") ? raw.id : null;
+    const where = batch ? ` (batch item ${i})` : "";
+    return jsonRpcError(400, -32600, `Invalid Request${where}: not a JSON-RPC 2.0 message`, id);
   }
-  return out;
+  return null;
+}
+
+/**
+ * Build a fresh MCP server with the shared CRM tools for one caller.
+ * Tools filtered by MCP_ALLOW_TOOLS / MCP_DENY_TOOLS / MCP_READ_ONLY, or
+ * outside the caller's role, are never registered; role checks also run on
+ * every call.
+ */
+function buildServer(authInfo?: AuthInfo) {
+  const server = new McpServer({
+    name: "medicus-crm",
+    version: "0.1.0"
+  });
+  const policy = getRolePolicy();
+
+  registerCrmTools(server, makeSupabase(), {
+    ...toolOptionsFromEnv(),
+    policy,
+    role: roleFor(policy, authInfo) ?? undefined,
+    author: process.env.MCP_NOTE_AUTHOR
+  });
+
+  return server;
+}
+
+let rateLimiter: RateLimiter | undefined;
+
+function getRateLimiter() {
+  if (!rateLimiter) {
+    const readOnlyTools = new Set(
+      listCrmTools().filter(t => t.annotations?.readOnlyHint).map(t => t.name)
+    );
+    rateLimiter = new RateLimiter({
+      rules: rateLimitRulesFromEnv(),
+      isWriteTool: (name: string) => !readOnlyTools.has(name)
+    });
+  }
+  return rateLimiter;
+}
+
+/**
+ * Count the tools/call messages in a request against the caller's limits.
+ * Returns a 429 with Retry-After and a JSON-RPC error when over the limit.
+ */
+async function enforceRateLimits(req: NextRequest, body: unknown, authInfo?: AuthInfo) {
+  const limiter = getRateLimiter();
+  if (!limiter.enabled) return null;
+
+  const messages: unknown[] = Array.isArray(body) ? body : [body];
+  const calls = messages.filter(
+    (m): m is JSONRPCRequest => isJSONRPCRequest(m as JSONRPCRequest) && (m as JSONRPCRequest).method === "tools/call"
+  );
+  if (calls.length === 0) return null;
+
+  const caller = sessionOwner(authInfo)
+    ?? req.headers.get("x-forwarded-for")?.split(",")[0].trim()
+    ?? "anonymous";
+  const exceeded = await limiter.consume(caller, calls.map(c => String(c.params?.name)));
+  if (!exceeded) return null;
+
+  const call = calls.find(c => c.params?.name === exceeded.toolName) ?? calls[0];
+  const res = jsonRpcError(429, -32000, exceeded.message, call.id, { retryAfter: exceeded.retryAfter });
+  res.headers.set("Retry-After", String(exceeded.retryAfter));
+  return res;
+}
+
+const STATELESS = /^(1|true)$/i.test(process.env.MCP_STATELESS || "");
+
+const sessions = new SessionRegistry({
+  ttlMs: Number(process.env.MCP_SESSION_TTL_MS) || undefined
+});
+
+function toNextResponse(res: Response) {
+  return new NextResponse(res.body, { status: res.status, headers: res.headers });
+}
+
+function isInitialize(body: unknown) {
+  return Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body);
 }
 
 /**
- * Simple HTTP handler for MCP protocol
- * This provides basic MCP protocol support for tool listing
+ * Stateless mode: every POST gets its own server/transport pair and a plain
+ * JSON response. Suits serverless deployments where instances share nothing.
  */
-async function handleMcpRequest(req: NextRequest) {
+async function handleStatelessPost(req: NextRequest, body: unknown, authInfo?: AuthInfo) {
+  const server = buildServer(authInfo);
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: undefined,
+    enableJsonResponse: true
+  });
+
   try {
-    // Get the request body
-    const body = await req.text();
-    
-    // Parse the MCP request
-    let mcpRequest;
+    await server.connect(transport);
+    return toNextResponse(await handleStreamableHttp(transport, req, body, authInfo));
+  } finally {
+    // JSON responses are fully written once the Response resolves
+    await server.close();
+  }
+}
+
+/**
+ * Open a new session for an initialize request. The transport issues the
+ * Mcp-Session-Id and keeps an event store so dropped SSE streams can resume.
+ */
+async function startSession(req: NextRequest, body: unknown, authInfo?: AuthInfo) {
+  const server = buildServer(authInfo);
+  const owner = sessionOwner(authInfo);
+  const transport: StreamableHTTPServerTransport = new StreamableHTTPServerTransport({
+    sessionIdGenerator: () => randomUUID(),
+    eventStore: new InMemoryEventStore(),
+    onsessioninitialized: (sessionId) => sessions.add(sessionId, { server, transport, owner })
+  });
+  transport.onclose = () => {
+    if (transport.sessionId) sessions.delete(transport.sessionId);
+  };
+
+  await server.connect(transport);
+  return toNextResponse(await handleStreamableHttp(transport, req, body, authInfo));
+}
+
+async function handleMcpRequest(req: NextRequest, authInfo?: AuthInfo) {
+  let body: unknown;
+  if (req.method === "POST") {
     try {
-      mcpRequest = JSON.parse(body);
+      body = JSON.parse(await req.text());
     } catch (e) {
-      return NextResponse.json(
-        { error: "Invalid JSON in request body" },
-        { status: 400 }
-      );
+      return jsonRpcError(400, -32700, "Parse error: invalid JSON in request body");
     }
+    const invalid = validateJsonRpc(body);
+    if (invalid) return invalid;
 
-    // Handle specific MCP methods
-    if (mcpRequest.method === "initialize") {
-      return NextResponse.json({
-        jsonrpc: "2.0",
-        id: mcpRequest.id,
-        result: {
-          protocolVersion: "2024-11-05",
-          capabilities: {
-            tools: {}
-          },
-          serverInfo: {
-            name: "medicus-crm",
-            version: "0.1.0"
-          }
-        }
-      });
-    }
+    const limited = await enforceRateLimits(req, body, authInfo);
+    if (limited) return limited;
+  }
 
-    if (mcpRequest.method === "tools/list") {
-      // Return list of available tools
-      const tools = filterToolsForEnv(TOOL_DESCRIPTORS);
-      return NextResponse.json({
-        jsonrpc: "2.0",
-        id: mcpRequest.id,
-        result: {
-          tools
-        }
-      });
+  try {
+    if (STATELESS) {
+      if (req.method !== "POST") {
+        const res = jsonRpcError(405, -32000, "Method not allowed: this server runs without sessions");
+        res.headers.set("Allow", "POST, OPTIONS");
+        return res;
+      }
+      return await handleStatelessPost(req, body, authInfo);
     }
 
-    // For now, return a simple response for tool calls
-    // In a full implementation, you would execute the actual tools here
-    if (mcpRequest.method === "tools/call") {
-      return NextResponse.json({
-        jsonrpc: "2.0",
-        id: mcpRequest.id,
-        error: {
-          code: -32601,
-          content: [
-            {
-              type: "text",
-              text: "Tool execution over HTTP is not enabled. Use STDIO locally, or enable server execution."
-            }
-          ]
-        }
-      });
-    }
+    sessions.sweep();
 
-    // Handle other MCP methods
-    return NextResponse.json({
-      jsonrpc: "2.0",
-      id: mcpRequest.id,
-      error: { code: -32601, message: `Method '${mcpRequest.method}' not found` }
-    });
+    const sessionId = req.headers.get("mcp-session-id");
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session || session.owner !== sessionOwner(authInfo)) {
+        return jsonRpcError(404, -32001, "Session not found");
+      }
+      return toNextResponse(await handleStreamableHttp(session.transport, req, body, authInfo));
+    }
 
+    if (req.method === "POST" && isInitialize(body)) {
+      return await startSession(req, body, authInfo);
+    }
+    return jsonRpcError(400, -32000, "Bad Request: Mcp-Session-Id header is required");
   } catch (error) {
     console.error("MCP request error:", error);
-    return NextResponse.json(
-      { error: "Internal server error", details: error instanceof Error ? error.message : String(error) },
-      { status: 500 }
-    );
+    return jsonRpcError(500, -32603, error instanceof Error ? error.message : String(error));
   }
 }
 
-export async function GET(req: NextRequest) {
-  try { 
-    assertToken(req); 
-  } catch (resp: any) { 
-    return resp; 
+async function handle(req: NextRequest) {
+  let authInfo: AuthInfo | undefined;
+  try {
+    authInfo = await authenticate(req);
+  } catch (error) {
+    if (error instanceof Response) return withCors(error);
+    console.error("MCP auth error:", error);
+    return withCors(jsonRpcError(500, -32603, "Authorization check failed"));
   }
-  
-  // For GET requests, return server info in MCP format
-  return withCors(NextResponse.json({
-    jsonrpc: "2.0",
-    id: 1,
-    result: {
-      protocolVersion: "2024-11-05",
-      capabilities: {
-        tools: {}
-      },
-      serverInfo: {
-        name: "medicus-crm",
-        version: "0.1.0"
-      }
-    }
-  }));
-}
 
-export async function POST(req: NextRequest) {
-  try { 
-    assertToken(req); 
-  } catch (resp: any) { 
-    return resp; 
-  }
-  
-  const res = await handleMcpRequest(req);
+  const res = await handleMcpRequest(req, authInfo);
   return withCors(res);
 }
 
+export const GET = handle;
+export const POST = handle;
+export const DELETE = handle;
+
 export async function OPTIONS() {
   return withCors(new NextResponse(null, { status: 204 }));
 }
@@ -0,0 +1,28 @@
+import { NextRequest, NextResponse } from "next/server";
+import { getOAuthConfig, protectedResourceMetadata, resourceUrlFor } from "@/lib/oauth";
+
+export const dynamic = "force-dynamic";
+
+function withCors(res: NextResponse) {
+  res.headers.set("Access-Control-Allow-Origin", "*");
+  res.headers.set("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.headers.set("Access-Control-Allow-Headers", "Content-Type, Mcp-Protocol-Version");
+  return res;
+}
+
+/**
+ * OAuth 2.0 Protected Resource Metadata (RFC 9728) for /api/mcp.
+ * Served at /.well-known/oauth-protected-resource via a rewrite in next.config.js.
+ */
+export async function GET(req: NextRequest) {
+  const oauth = getOAuthConfig();
+  if (!oauth) {
+    return withCors(NextResponse.json({ error: "OAuth is not configured for this server" }, { status: 404 }));
+  }
+  const resourceUrl = resourceUrlFor(req.nextUrl.origin, oauth);
+  return withCors(NextResponse.json(protectedResourceMetadata(resourceUrl, oauth)));
+}
+
+export async function OPTIONS() {
+  return withCors(new NextResponse(null, { status: 204 }));
+}
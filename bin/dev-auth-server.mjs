@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+import 'dotenv/config';
+import { createServer } from "node:http";
+import { randomUUID } from "node:crypto";
+import { exportJWK, generateKeyPair, SignJWT } from "jose";
+
+/**
+ * Minimal OAuth authorization server for testing /api/mcp offline.
+ *
+ * - GET  /.well-known/oauth-authorization-server  RFC 8414 metadata
+ * - GET  /jwks.json                                public signing key
+ * - POST /token                                    client_credentials grant
+ *
+ * Keys live in memory, so tokens stop verifying after a restart.
+ * Point the MCP server at it with MCP_OAUTH_ISSUER=http://localhost:4000.
+ */
+
+const PORT = Number(process.env.DEV_AUTH_PORT) || 4000;
+const ISSUER = process.env.MCP_OAUTH_ISSUER || `http://localhost:${PORT}`;
+const DEFAULT_RESOURCE = process.env.MCP_RESOURCE_URL || "http://localhost:3000/api/mcp";
+const TOKEN_TTL_SECONDS = 3600;
+
+const { publicKey, privateKey } = await generateKeyPair("RS256");
+const kid = randomUUID();
+const jwk = { ...(await exportJWK(publicKey)), kid, alg: "RS256", use: "sig" };
+
+async function issueToken({ sub, scope, resource }) {
+  return new SignJWT({ scope, client_id: sub })
+    .setProtectedHeader({ alg: "RS256", kid })
+    .setIssuer(ISSUER)
+    .setSubject(sub)
+    .setAudience(resource)
+    .setIssuedAt()
+    .setExpirationTime(`${TOKEN_TTL_SECONDS}s`)
+    .setJti(randomUUID())
+    .sign(privateKey);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body));
+}
+
+async function readForm(req) {
+  let raw = "";
+  for await (const chunk of req) raw += chunk;
+  return new URLSearchParams(raw);
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  if (req.method === "GET" && url.pathname === "/.well-known/oauth-authorization-server") {
+    return send(res, 200, {
+      issuer: ISSUER,
+      token_endpoint: `${ISSUER}/token`,
+      jwks_uri: `${ISSUER}/jwks.json`,
+      grant_types_supported: ["client_credentials"],
+      token_endpoint_auth_methods_supported: ["none"],
+      response_types_supported: []
+    });
+  }
+
+  if (req.method === "GET" && url.pathname === "/jwks.json") {
+    return send(res, 200, { keys: [jwk] });
+  }
+
+  if (req.method === "POST" && url.pathname === "/token") {
+    const form = await readForm(req);
+    if (form.get("grant_type") !== "client_credentials") {
+      return send(res, 400, { error: "unsupported_grant_type" });
+    }
+    const sub = form.get("client_id") || "dev-user";
+    const scope = form.get("scope") || "";
+    const resource = form.get("resource") || DEFAULT_RESOURCE;
+    return send(res, 200, {
+      access_token: await issueToken({ sub, scope, resource }),
+      token_type: "Bearer",
+      expires_in: TOKEN_TTL_SECONDS,
+      scope
+    });
+  }
+
+  send(res, 404, { error: "not_found" });
+});
+
+server.listen(PORT, async () => {
+  const token = await issueToken({ sub: "dev-user", scope: "", resource: DEFAULT_RESOURCE });
+  console.error(`Dev authorization server listening on ${ISSUER}`);
+  console.error(`Token for ${DEFAULT_RESOURCE} (valid ${TOKEN_TTL_SECONDS}s):\n${token}`);
+});
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+import { open } from "node:fs/promises";
+import { once } from "node:events";
+import { extname } from "node:path";
+import { parseArgs } from "node:util";
+import dotenv from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { z } from "zod";
+import { parseCsv } from "../lib/tool-options.js";
+import { filterSchema } from "../lib/query-tools.js";
+import { EXPORT_FORMATS, createExport } from "../lib/export-tools.js";
+
+const HELP = `Usage: medicus-crm-export --type <contact|company|deal|lead> [options]
+
+Export CRM records as CSV, NDJSON or vCard 4.0 (contacts only), streamed page
+by page, with the same filters as the crm_query and crm_export tools.
+
+Options:
+  --type <entity>          contact, company, deal or lead (required)
+  --format <format>        csv, ndjson or vcard (default: from --output's extension, else csv)
+  --fields <list>          Comma-separated columns, including related ones such as company_name
+  --filter <json>          A crm_query filter, e.g. '{"op":"eq","field":"status","value":"won"}'; repeatable
+  --sort <field[:dir]>     Sort by field, asc (default) or desc; without --sort, newest first
+  --include-archived       Include archived records
+  --delimiter <char>       CSV delimiter: , (default), ; or tab
+  --output <file>          Write to this file instead of stdout
+  --env-file <path>        Load environment variables from this file (default: .env)
+  -h, --help               Show this help
+`;
+
+function usage(message) {
+  console.error(`${message}\n\n${HELP}`);
+  process.exit(2);
+}
+
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      "type": { type: "string" },
+      "format": { type: "string" },
+      "fields": { type: "string" },
+      "filter": { type: "string", multiple: true },
+      "sort": { type: "string" },
+      "include-archived": { type: "boolean" },
+      "delimiter": { type: "string" },
+      "output": { type: "string", short: "o" },
+      "env-file": { type: "string" },
+      "help": { type: "boolean", short: "h" }
+    }
+  }));
+} catch (e) {
+  usage(e.message);
+}
+
+if (args.help) {
+  process.stdout.write(HELP);
+  process.exit(0);
+}
+
+if (!["contact", "company", "deal", "lead"].includes(args.type)) usage("--type must be contact, company, deal or lead.");
+
+const byExtension = { ".csv": "csv", ".ndjson": "ndjson", ".jsonl": "ndjson", ".vcf": "vcard" };
+const format = args.format ?? (args.output && byExtension[extname(args.output).toLowerCase()]) ?? "csv";
+if (!EXPORT_FORMATS.includes(format)) usage(`--format must be one of ${EXPORT_FORMATS.join(", ")}.`);
+
+const delimiter = args.delimiter === "tab" ? "\t" : args.delimiter ?? ",";
+if (![",", ";", "\t"].includes(delimiter)) usage("--delimiter must be , ; or tab.");
+
+let filters;
+try {
+  filters = z.array(filterSchema).parse((args.filter ?? []).map(f => JSON.parse(f)));
+} catch (e) {
+  usage(`Invalid --filter: ${e instanceof z.ZodError ? e.issues.map(i => i.message).join("; ") : e.message}`);
+}
+
+let sort;
+if (args.sort) {
+  const [field, direction = "asc"] = args.sort.split(":");
+  if (!["asc", "desc"].includes(direction)) usage("--sort takes field or field:asc / field:desc.");
+  sort = { field, direction };
+}
+
+// --- Environment and Supabase client
+const loaded = dotenv.config(args["env-file"] ? { path: args["env-file"] } : {});
+if (args["env-file"] && loaded.error) {
+  console.error(`Could not read env file ${args["env-file"]}: ${loaded.error.message}`);
+  process.exit(2);
+}
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_KEY;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, {
+  auth: { persistSession: false }
+});
+
+// --- Export, one page at a time
+let exp;
+try {
+  exp = createExport(supabase, {
+    entity_type: args.type,
+    format,
+    fields: parseCsv(args.fields) ?? undefined,
+    filters,
+    sort,
+    include_archived: !!args["include-archived"],
+    delimiter
+  });
+} catch (e) {
+  usage(e.message);
+}
+
+// Opened before the first page is fetched, so a bad path fails straight away
+let out = process.stdout;
+if (args.output) {
+  const cantWrite = (e) => {
+    console.error(`Could not write ${args.output}: ${e.message}`);
+    process.exit(1);
+  };
+  try {
+    out = (await open(args.output, "w")).createWriteStream();
+  } catch (e) {
+    cantWrite(e);
+  }
+  out.on("error", cantWrite);
+}
+try {
+  for await (const chunk of exp.chunks) {
+    if (!out.write(chunk)) await once(out, "drain");
+  }
+} catch (e) {
+  console.error(`Export stopped after ${exp.stats.rows} rows: ${e.message}`);
+  process.exitCode = 1;
+}
+if (args.output) {
+  out.end();
+  await once(out, "finish");
+}
+
+if (!process.exitCode) console.error(`Exported ${exp.stats.rows} ${args.type} rows${args.output ? ` to ${args.output}` : ""}.`);
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+import { readFileSync } from "node:fs";
+import { extname } from "node:path";
+import { parseArgs } from "node:util";
+import dotenv from "dotenv";
+import { createClient } from "@supabase/supabase-js";
+import { createAuditRecorder } from "../lib/audit.js";
+import { describeImport, importRecords } from "../lib/import-tools.js";
+
+const HELP = `Usage: medicus-crm-import <file> --type <contact|company|lead> [options]
+
+Bulk-create or update CRM records from a CSV or JSON file ("-" reads stdin).
+Rows are validated like crm_create_contact, crm_upsert_company and
+crm_create_lead, the same way as the crm_import_records tool.
+
+Options:
+  --type <entity>          contact, company or lead (required)
+  --map <field=column>     Read a field from a differently named column; repeatable
+  --dedupe <key>           email (contacts, leads), name (companies) or none
+  --format <csv|json>      Input format (default: from the file extension, else detected)
+  --dry-run                Only report what would be created, updated or rejected
+  --chunk-size <n>         Rows per insert, 1-500 (default: 100)
+  --json                   Print the full report as JSON
+  --env-file <path>        Load environment variables from this file (default: .env)
+  -h, --help               Show this help
+
+Exits with 1 when any row was invalid, a duplicate or failed.
+`;
+
+function usage(message) {
+  console.error(`${message}\n\n${HELP}`);
+  process.exit(2);
+}
+
+let args, positionals;
+try {
+  ({ values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      "type": { type: "string" },
+      "map": { type: "string", multiple: true },
+      "dedupe": { type: "string" },
+      "format": { type: "string" },
+      "dry-run": { type: "boolean" },
+      "chunk-size": { type: "string" },
+      "json": { type: "boolean" },
+      "env-file": { type: "string" },
+      "help": { type: "boolean", short: "h" }
+    }
+  }));
+} catch (e) {
+  usage(e.message);
+}
+
+if (args.help) {
+  process.stdout.write(HELP);
+  process.exit(0);
+}
+
+const [file] = positionals;
+if (!file || positionals.length > 1) usage("Pass exactly one file.");
+if (!["contact", "company", "lead"].includes(args.type)) usage("--type must be contact, company or lead.");
+if (args.dedupe && !["email", "name", "none"].includes(args.dedupe)) usage("--dedupe must be email, name or none.");
+
+const format = args.format ?? { ".csv": "csv", ".tsv": "csv", ".json": "json" }[extname(file).toLowerCase()];
+if (format && !["csv", "json"].includes(format)) usage("--format must be csv or json.");
+
+const chunkSize = args["chunk-size"] === undefined ? undefined : Number(args["chunk-size"]);
+if (chunkSize !== undefined && !(Number.isInteger(chunkSize) && chunkSize >= 1 && chunkSize <= 500)) {
+  usage("--chunk-size must be a whole number from 1 to 500.");
+}
+
+const mapping = {};
+for (const pair of args.map ?? []) {
+  const eq = pair.indexOf("=");
+  if (eq < 1) usage(`--map takes field=column, got "${pair}".`);
+  mapping[pair.slice(0, eq).trim()] = pair.slice(eq + 1).trim();
+}
+
+let data;
+try {
+  data = readFileSync(file === "-" ? 0 : file, "utf8");
+} catch (e) {
+  console.error(`Could not read ${file}: ${e.message}`);
+  process.exit(2);
+}
+
+// --- Environment and Supabase client
+const loaded = dotenv.config(args["env-file"] ? { path: args["env-file"] } : {});
+if (args["env-file"] && loaded.error) {
+  console.error(`Could not read env file ${args["env-file"]}: ${loaded.error.message}`);
+  process.exit(2);
+}
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_KEY;
+
+if (!SUPABASE_URL || !SUPABASE_KEY) {
+  console.error("Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, {
+  auth: { persistSession: false }
+});
+
+// --- Import, audited like the crm_import_records tool
+const options = {
+  entity_type: args.type,
+  format,
+  mapping,
+  dedupe_key: args.dedupe,
+  dry_run: !!args["dry-run"],
+  chunk_size: chunkSize
+};
+const audit = createAuditRecorder(supabase, {
+  tool: "crm_import_records",
+  args: { ...options, file },
+  actor: process.env.MCP_ACTOR || "cli"
+});
+
+let report;
+try {
+  report = await importRecords(supabase, audit, { ...options, data });
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+if (args.json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  console.log(describeImport(report));
+  if (report.ignored_columns.length) console.log(`Ignored columns: ${report.ignored_columns.join(", ")}`);
+  for (const { row, status, message } of report.errors) console.log(`  row ${row} ${status}: ${message}`);
+  if (report.truncated) console.log("  (only the first rows are listed)");
+}
+
+// exitCode rather than exit(), so piped output is flushed first
+const { invalid, duplicate, failed } = report.summary;
+process.exitCode = invalid || duplicate || failed ? 1 : 0;
@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+
+import 'dotenv/config';
+import { listCrmTools } from "../lib/register-crm-tools.js";
+import { toolOptionsFromEnv } from "../lib/tool-options.js";
+
+// Print the descriptors clients receive from tools/list (name, title, description, JSON Schema),
+// honouring MCP_ALLOW_TOOLS / MCP_DENY_TOOLS / MCP_READ_ONLY
+console.log(JSON.stringify(listCrmTools(toolOptionsFromEnv()), null, 2));
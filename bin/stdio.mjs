@@ -1,12 +1,89 @@
 #!/usr/bin/env node
 
-import 'dotenv/config';
+import { readFileSync } from "node:fs";
+import { format, parseArgs } from "node:util";
+import dotenv from "dotenv";
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { createClient } from "@supabase/supabase-js";
 import { registerCrmTools } from "../lib/register-crm-tools.js";
+import { loadRolePolicy } from "../lib/access-control.js";
+import { parseCsv, toolOptionsFromEnv } from "../lib/tool-options.js";
+import { AUDIT_TABLE } from "../lib/audit.js";
+import { TASKS_TABLE } from "../lib/task-tools.js";
 
-// --- Supabase client (exactly as you already do)
+const pkg = JSON.parse(readFileSync(new URL("../package.json", import.meta.url), "utf8"));
+
+const HELP = `Usage: medicus-crm-mcp [options]
+
+Local STDIO MCP server for the Medicus CRM. Flags override the matching
+environment variables.
+
+Options:
+  --env-file <path>        Load environment variables from this file (default: .env)
+  --read-only              Only expose search/get/list tools (MCP_READ_ONLY)
+  --tools <list>           Only expose these tools, comma-separated, * wildcards (MCP_ALLOW_TOOLS)
+  --exclude-tools <list>   Never expose these tools (MCP_DENY_TOOLS)
+  --author <name>          Default author for notes (default: "Claude via MCP")
+  --name <name>            Server name reported to clients (default: medicus-crm)
+  --log-level <level>      silent, error, warn, info or debug (default: info)
+  --check                  Verify Supabase credentials and tables, then exit
+  -h, --help               Show this help
+  -v, --version            Print the version
+`;
+
+const LOG_LEVELS = ["silent", "error", "warn", "info", "debug"];
+
+let args;
+try {
+  ({ values: args } = parseArgs({
+    options: {
+      "env-file": { type: "string" },
+      "read-only": { type: "boolean" },
+      "tools": { type: "string" },
+      "exclude-tools": { type: "string" },
+      "author": { type: "string" },
+      "name": { type: "string" },
+      "log-level": { type: "string" },
+      "check": { type: "boolean" },
+      "help": { type: "boolean", short: "h" },
+      "version": { type: "boolean", short: "v" }
+    }
+  }));
+} catch (e) {
+  console.error(`${e.message}\n\n${HELP}`);
+  process.exit(2);
+}
+
+if (args.help) {
+  process.stdout.write(HELP);
+  process.exit(0);
+}
+if (args.version) {
+  console.log(pkg.version);
+  process.exit(0);
+}
+
+// --- Environment
+const loaded = dotenv.config(args["env-file"] ? { path: args["env-file"] } : {});
+if (args["env-file"] && loaded.error) {
+  console.error(`Could not read env file ${args["env-file"]}: ${loaded.error.message}`);
+  process.exit(2);
+}
+
+// --- Logging. stdout carries JSON-RPC, so every console method goes to stderr (or nowhere)
+const logLevel = (args["log-level"] || process.env.MCP_LOG_LEVEL || "info").toLowerCase();
+if (!LOG_LEVELS.includes(logLevel)) {
+  console.error(`Invalid --log-level "${logLevel}". Use one of: ${LOG_LEVELS.join(", ")}.`);
+  process.exit(2);
+}
+const threshold = LOG_LEVELS.indexOf(logLevel);
+const toStderr = (...a) => process.stderr.write(`${format(...a)}\n`);
+for (const [method, level] of [["error", "error"], ["warn", "warn"], ["info", "info"], ["log", "info"], ["debug", "debug"]]) {
+  console[method] = LOG_LEVELS.indexOf(level) <= threshold ? toStderr : () => {};
+}
+
+// --- Supabase client
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_KEY;
 
@@ -15,21 +92,71 @@ if (!SUPABASE_URL || !SUPABASE_KEY) {
   process.exit(1);
 }
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, { 
-  auth: { persistSession: false } 
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, {
+  auth: { persistSession: false }
 });
 
+// --- --check: can we reach Supabase, and which tables exist?
+const REQUIRED_TABLES = ["contacts", "companies", "deals", "leads"];
+const OPTIONAL_TABLES = [
+  "deal_contacts", "contact_notes", "company_notes", "deal_notes", "lead_notes",
+  "pipelines", "pipeline_stages", AUDIT_TABLE, TASKS_TABLE
+];
+
+async function checkSetup() {
+  let failed = false;
+  for (const table of [...REQUIRED_TABLES, ...OPTIONAL_TABLES]) {
+    const required = REQUIRED_TABLES.includes(table);
+    const { error } = await supabase.from(table).select("*", { count: "exact", head: true });
+    if (!error) {
+      process.stderr.write(`ok       ${table}\n`);
+      continue;
+    }
+    // Bad URL/key fails every table the same way; stop at the first one
+    if (/invalid api key|jwt|fetch failed|ENOTFOUND|ECONNREFUSED/i.test(error.message || "")) {
+      process.stderr.write(`Cannot reach Supabase at ${SUPABASE_URL}: ${error.message}\n`);
+      return false;
+    }
+    failed ||= required;
+    process.stderr.write(`${required ? "MISSING " : "missing "} ${table}${required ? "" : " (optional)"}: ${error.message || error.code}\n`);
+  }
+  return !failed;
+}
+
+if (args.check) {
+  process.exit((await checkSetup()) ? 0 : 1);
+}
+
 // --- MCP server
-const server = new McpServer({ 
-  name: "medicus-crm", 
-  version: "0.1.0" 
+const server = new McpServer({
+  name: args.name || "medicus-crm",
+  version: pkg.version
 });
 
-// Register all CRM tools
-registerCrmTools(server, supabase);
+// Log every tool call at debug level
+const logged = {
+  registerTool: (name, config, cb) =>
+    server.registerTool(name, config, (toolArgs, extra) => {
+      console.debug(`tool call ${name}`, JSON.stringify(toolArgs));
+      return cb(toolArgs, extra);
+    })
+};
+
+// Register all CRM tools, filtered by flags or MCP_ALLOW_TOOLS / MCP_DENY_TOOLS / MCP_READ_ONLY / MCP_ALLOW_HARD_DELETE
+// and restricted to MCP_ROLE when roles are configured. Writes are audited as MCP_ACTOR.
+const envToolOptions = toolOptionsFromEnv();
+registerCrmTools(logLevel === "debug" ? logged : server, supabase, {
+  allow: parseCsv(args.tools) ?? envToolOptions.allow,
+  deny: parseCsv(args["exclude-tools"]) ?? envToolOptions.deny,
+  readOnly: args["read-only"] || envToolOptions.readOnly,
+  allowHardDelete: envToolOptions.allowHardDelete,
+  policy: loadRolePolicy(),
+  actor: process.env.MCP_ACTOR || "stdio",
+  author: args.author || process.env.MCP_NOTE_AUTHOR
+});
 
 // Connect via STDIO transport
 const transport = new StdioServerTransport();
 await server.connect(transport);
 
-console.error("Medicus CRM MCP Server started via STDIO");
+console.info("Medicus CRM MCP Server started via STDIO");
@@ -0,0 +1,164 @@
+import { readFileSync } from "node:fs";
+import { createHash } from "node:crypto";
+
+/**
+ * Role-based access to CRM tools.
+ *
+ * A role allows tools by name pattern ("crm_search_*"), can deny some of
+ * those again, and can restrict which entity types (contact, company, deal,
+ * lead) the caller may touch. Callers are mapped to roles by static token,
+ * by OAuth subject/client id, or by a role claim in their JWT.
+ *
+ * Policy JSON (MCP_ROLES, or a file named by MCP_ROLES_FILE):
+ * {
+ *   "roles":    { "intern": { "allow": ["crm_search_contacts"], "entities": ["contact"] } },
+ *   "tokens":   { "<secret token>": "intern" },
+ *   "subjects": { "alice@example.com": "admin" },
+ *   "roleClaim": "role",
+ *   "defaultRole": "read-only"
+ * }
+ */
+
+export const ENTITY_TYPES = ["contact", "company", "deal", "lead"];
+
+export const BUILTIN_ROLES = {
+  "read-only": { allow: ["crm_search_*", "crm_get_*", "crm_list_*", "crm_pipeline_summary", "crm_query", "crm_global_search", "crm_export"] },
+  "sales-rep": { allow: ["*"], deny: ["crm_unlink_*", "crm_delete_*"] },
+  "admin": { allow: ["*"] }
+};
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+export const matchesToolPattern = (patterns, name) => (patterns || []).some(p => globToRegExp(p).test(name));
+
+/**
+ * Load the role policy from the environment, or null when no roles are
+ * configured (every caller may use every tool).
+ */
+export function loadRolePolicy(env = process.env) {
+  let config = null;
+  if (env.MCP_ROLES) {
+    config = JSON.parse(env.MCP_ROLES);
+  } else if (env.MCP_ROLES_FILE) {
+    config = JSON.parse(readFileSync(env.MCP_ROLES_FILE, "utf8"));
+  } else if (!env.MCP_ROLE) {
+    return null;
+  }
+
+  const policy = {
+    roles: { ...BUILTIN_ROLES, ...(config?.roles || {}) },
+    tokens: config?.tokens || {},
+    subjects: config?.subjects || {},
+    roleClaim: config?.roleClaim || "role",
+    defaultRole: env.MCP_ROLE || config?.defaultRole || "read-only"
+  };
+
+  for (const role of [policy.defaultRole, ...Object.values(policy.tokens), ...Object.values(policy.subjects)]) {
+    if (!policy.roles[role]) throw new Error(`Unknown role "${role}" in MCP role configuration.`);
+  }
+  return policy;
+}
+
+/**
+ * AuthInfo for a static token listed in the policy, or null if it isn't one.
+ * The client id is a hash so logs and session owners never contain the secret.
+ */
+export function authInfoForToken(policy, token) {
+  if (!policy || !token || !Object.prototype.hasOwnProperty.call(policy.tokens, token)) return null;
+  const role = policy.tokens[token];
+  const clientId = `token-${createHash("sha256").update(token).digest("hex").slice(0, 12)}`;
+  return { token, clientId, scopes: [], extra: { role } };
+}
+
+/**
+ * Resolve the role of a caller: static-token role, then the JWT role claim,
+ * then the subject/client id mapping, then the policy default.
+ */
+export function roleFor(policy, authInfo) {
+  if (!policy) return null;
+  const extra = authInfo?.extra || {};
+  if (typeof extra.role === "string" && policy.roles[extra.role]) return extra.role;
+
+  const claim = extra.claims?.[policy.roleClaim];
+  const claimed = Array.isArray(claim) ? claim.find(r => policy.roles[r]) : claim;
+  if (typeof claimed === "string" && policy.roles[claimed]) return claimed;
+
+  for (const id of [extra.sub, authInfo?.clientId]) {
+    if (id && policy.subjects[id]) return policy.subjects[id];
+  }
+  return policy.defaultRole;
+}
+
+// Tools whose names don't say which records they read
+const TOOL_ENTITIES = {
+  crm_pipeline_summary: ["deal"],
+  crm_convert_lead: ["lead", "contact", "company", "deal"],
+  crm_import_vcard: ["contact", "company"]
+};
+
+/**
+ * Entity types a call touches, derived from the tool name
+ * (crm_link_contact_company -> contact, company), TOOL_ENTITIES and an
+ * entity_type argument.
+ */
+export function entitiesForCall(toolName, args = {}) {
+  const found = new Set(TOOL_ENTITIES[toolName]);
+  for (const part of toolName.split("_")) {
+    if (/^contacts?$/.test(part)) found.add("contact");
+    else if (/^compan(y|ies)$/.test(part)) found.add("company");
+    else if (/^deals?$/.test(part)) found.add("deal");
+    else if (/^leads?$/.test(part)) found.add("lead");
+  }
+  if (ENTITY_TYPES.includes(args?.entity_type)) found.add(args.entity_type);
+  return [...found];
+}
+
+export function isToolAllowedForRole(policy, role, toolName) {
+  const def = policy.roles[role];
+  if (!def) return false;
+  return matchesToolPattern(def.allow, toolName) && !matchesToolPattern(def.deny, toolName);
+}
+
+function deniedReason(policy, role, toolName, args) {
+  if (!isToolAllowedForRole(policy, role, toolName)) {
+    return `role "${role}" may not call ${toolName}`;
+  }
+  const allowedEntities = policy.roles[role].entities;
+  if (!allowedEntities) return null;
+  const blocked = entitiesForCall(toolName, args).filter(e => !allowedEntities.includes(e));
+  return blocked.length ? `role "${role}" may not access ${blocked.join(", ")} records` : null;
+}
+
+/**
+ * Throw if the role may not make this call. Runs on every tool call, so
+ * hiding a tool from tools/list is never the only line of defence.
+ */
+export function assertToolCallAllowed(policy, role, toolName, args) {
+  const reason = deniedReason(policy, role, toolName, args);
+  if (reason) throw new Error(`Access denied: ${reason}.`);
+}
+
+/**
+ * Wrap an McpServer so every tool registered through it checks the caller's
+ * role before running. The role comes from the call's authInfo (HTTP) or,
+ * when a call carries none, from `fallbackRole` (STDIO). Tools the fallback
+ * role can never use are not registered at all. Handlers get the role's
+ * entity restriction as `extra.entities` (undefined when unrestricted), so
+ * tools that return related records can leave out the ones it may not see.
+ */
+export function withAccessControl(server, policy, fallbackRole = policy?.defaultRole) {
+  if (!policy) return server;
+  return {
+    registerTool: (name, config, cb) => {
+      if (fallbackRole && deniedReason(policy, fallbackRole, name, {})) return undefined;
+      return server.registerTool(name, config, async (args, extra) => {
+        const role = extra?.authInfo ? roleFor(policy, extra.authInfo) : fallbackRole;
+        assertToolCallAllowed(policy, role, name, args);
+        return cb(args, { ...extra, entities: policy.roles[role].entities });
+      });
+    }
+  };
+}
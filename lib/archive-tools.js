@@ -0,0 +1,200 @@
+import { z } from "zod";
+import {
+  ok,
+  friendlySupabaseError,
+  ENTITY_TABLES,
+  isMissingColumn,
+  isAbsent
+} from "./crm-helpers.js";
+
+/**
+ * Archive, restore and hard-delete tools for contacts, companies, deals and leads.
+ *
+ * Archiving sets `archived_at` (see supabase/migrations/*_archived_at.sql);
+ * search tools hide archived rows unless asked to include them. Hard delete
+ * removes the row for good and refuses while other records still point at
+ * it, unless `cascade` is set.
+ */
+
+// What references each record type. With cascade, "delete" rows are removed
+// (recursively for entity rows) and "unlink" rows get the column set to null.
+const DEPENDENTS = {
+  contact: [
+    { table: "deal_contacts", column: "contact_id", action: "delete" },
+    { table: "contact_notes", column: "contact_id", action: "delete" },
+    { table: "tasks", column: "contact_id", action: "delete" },
+    { table: "deals", column: "contact_person_id", action: "unlink" }
+  ],
+  company: [
+    { table: "deals", column: "company_id", action: "delete", entity: "deal" },
+    { table: "company_notes", column: "company_id", action: "delete" },
+    { table: "tasks", column: "company_id", action: "delete" },
+    { table: "contacts", column: "company_id", action: "unlink" },
+    { table: "leads", column: "company_id", action: "unlink" },
+    { table: "contact_notes", column: "company_id", action: "unlink" },
+    { table: "lead_notes", column: "company_id", action: "unlink" }
+  ],
+  deal: [
+    { table: "deal_contacts", column: "deal_id", action: "delete" },
+    { table: "deal_notes", column: "deal_id", action: "delete" },
+    { table: "tasks", column: "deal_id", action: "delete" }
+  ],
+  lead: [
+    { table: "lead_notes", column: "lead_id", action: "delete" },
+    { table: "tasks", column: "lead_id", action: "delete" }
+  ]
+};
+
+async function findDependents(supabase, entity, id) {
+  const found = [];
+  for (const dep of DEPENDENTS[entity]) {
+    const { count, error } = await supabase
+      .from(dep.table)
+      .select("*", { count: "exact" })
+      .eq(dep.column, id)
+      .limit(1);
+    if (error) {
+      if (isAbsent(error, dep)) continue;
+      friendlySupabaseError(dep.table, error);
+    }
+    if (count) found.push({ ...dep, count });
+  }
+  return found;
+}
+
+/**
+ * Delete one record after removing or unlinking everything that references it.
+ * Not transactional: a failure part-way leaves the dependents already handled.
+ * Every removed or unlinked row is recorded in the audit log.
+ */
+async function deleteCascade(supabase, audit, entity, id, summary) {
+  for (const dep of DEPENDENTS[entity]) {
+    if (dep.action === "unlink") {
+      const { data, error } = await supabase.from(dep.table).update({ [dep.column]: null }).eq(dep.column, id).select();
+      if (error) {
+        if (isAbsent(error, dep)) continue;
+        friendlySupabaseError(dep.table, error);
+      }
+      for (const row of data || []) await audit.record(dep.table, row.id, { ...row, [dep.column]: id }, row);
+      if (data?.length) summary.unlinked[dep.table] = (summary.unlinked[dep.table] || 0) + data.length;
+    } else if (dep.entity) {
+      const { data, error } = await supabase.from(dep.table).select("id").eq(dep.column, id);
+      if (error) {
+        if (isAbsent(error, dep)) continue;
+        friendlySupabaseError(dep.table, error);
+      }
+      for (const row of data || []) await deleteCascade(supabase, audit, dep.entity, row.id, summary);
+    } else {
+      const { data, error } = await supabase.from(dep.table).delete().eq(dep.column, id).select();
+      if (error) {
+        if (isAbsent(error, dep)) continue;
+        friendlySupabaseError(dep.table, error);
+      }
+      for (const row of data || []) await audit.record(dep.table, row.id ?? `${dep.column}:${id}`, row, null);
+      if (data?.length) summary.deleted[dep.table] = (summary.deleted[dep.table] || 0) + data.length;
+    }
+  }
+
+  const table = ENTITY_TABLES[entity];
+  const { data, error } = await supabase.from(table).delete().eq("id", id).select();
+  if (error) friendlySupabaseError(table, error);
+  for (const row of data || []) await audit.record(table, id, row, null);
+  summary.deleted[table] = (summary.deleted[table] || 0) + (data?.length || 0);
+}
+
+async function setArchived(supabase, audit, entity, id, archived) {
+  const table = ENTITY_TABLES[entity];
+  return audit.write(table, id, async () => {
+    const { data, error } = await supabase
+      .from(table)
+      .update({ archived_at: archived ? new Date().toISOString() : null })
+      .eq("id", id)
+      .select()
+      .maybeSingle();
+    if (error) {
+      if (isMissingColumn(error, "archived_at")) {
+        throw new Error(`${table}.archived_at does not exist. Apply supabase/migrations to enable archiving.`);
+      }
+      friendlySupabaseError(table, error);
+    }
+    if (!data) throw new Error(`No ${entity} with id ${id}.`);
+    return data;
+  });
+}
+
+/**
+ * Register crm_archive_*, crm_restore_* and crm_delete_* for every entity type.
+ * Hard delete is admin-only: it is registered only when a role policy decides
+ * who may call it (of the built-in roles, only admin), or when the server
+ * explicitly opts in with `hardDelete` (MCP_ALLOW_HARD_DELETE) and trusts
+ * every caller with it.
+ * @param {Object} server - MCP server (or the wrapped facade from registerCrmTools)
+ * @param {Object} supabase - The Supabase client instance
+ * @param {Object} [options]
+ * @param {boolean} [options.hardDelete] - Register crm_delete_*
+ */
+export function registerArchiveTools(server, supabase, { hardDelete = false } = {}) {
+  for (const entity of Object.keys(ENTITY_TABLES)) {
+    const idArg = `${entity}_id`;
+
+    server.registerTool(
+      `crm_archive_${entity}`,
+      {
+        title: `Archive ${entity}`,
+        description: `Soft-delete a ${entity}: set archived_at so searches hide it. Undo with crm_restore_${entity}.`,
+        inputSchema: { [idArg]: z.string().uuid() }
+      },
+      async (args, { audit }) => {
+        const data = await setArchived(supabase, audit, entity, args[idArg], true);
+        return ok(`Archived ${entity} ${args[idArg]}.`, data);
+      }
+    );
+
+    server.registerTool(
+      `crm_restore_${entity}`,
+      {
+        title: `Restore ${entity}`,
+        description: `Restore an archived ${entity} (clears archived_at).`,
+        inputSchema: { [idArg]: z.string().uuid() }
+      },
+      async (args, { audit }) => {
+        const data = await setArchived(supabase, audit, entity, args[idArg], false);
+        return ok(`Restored ${entity} ${args[idArg]}.`, data);
+      }
+    );
+
+    if (!hardDelete) continue;
+
+    server.registerTool(
+      `crm_delete_${entity}`,
+      {
+        title: `Delete ${entity} permanently`,
+        description: `Permanently delete a ${entity}. Refuses while deals, deal_contacts rows, notes or tasks reference it unless cascade is true (dependent rows are then deleted or unlinked). Prefer crm_archive_${entity}.`,
+        annotations: { destructiveHint: true },
+        inputSchema: {
+          [idArg]: z.string().uuid(),
+          cascade: z.boolean().optional()
+        }
+      },
+      async (args, { audit }) => {
+        const id = args[idArg];
+        const table = ENTITY_TABLES[entity];
+        const { data: existing, error } = await supabase.from(table).select("id").eq("id", id).maybeSingle();
+        if (error) friendlySupabaseError(table, error);
+        if (!existing) throw new Error(`No ${entity} with id ${id}.`);
+
+        if (!args.cascade) {
+          const dependents = await findDependents(supabase, entity, id);
+          if (dependents.length) {
+            const list = dependents.map(d => `${d.count} ${d.table} (${d.column})`).join(", ");
+            throw new Error(`Refusing to delete ${entity} ${id}: still referenced by ${list}. Archive it instead, or pass cascade: true.`);
+          }
+        }
+
+        const summary = { deleted: {}, unlinked: {} };
+        await deleteCascade(supabase, audit, entity, id, summary);
+        return ok(`Deleted ${entity} ${id}.`, summary);
+      }
+    );
+  }
+}
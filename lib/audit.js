@@ -0,0 +1,134 @@
+import { recordDealTransition } from "./deal-history.js";
+
+/**
+ * Audit trail for CRM writes.
+ *
+ * Every tool call gets an `audit` recorder in its `extra` argument that knows
+ * the tool name, arguments and caller. Write handlers run their mutation
+ * through `audit.write(table, id, mutate)`, which snapshots the row before
+ * and after and stores both in crm_audit_log
+ * (see supabase/migrations/*_crm_audit_log.sql).
+ *
+ * A failed audit insert is logged but never fails the tool: by then the
+ * write itself has already happened.
+ *
+ * Deal writes also feed the stage/status history (lib/deal-history.js).
+ */
+
+export const AUDIT_TABLE = "crm_audit_log";
+
+// Entity types whose data an entry of each audited table shows
+const TABLE_ENTITIES = {
+  contacts: ["contact"],
+  companies: ["company"],
+  deals: ["deal"],
+  leads: ["lead"],
+  contact_notes: ["contact"],
+  company_notes: ["company"],
+  deal_notes: ["deal"],
+  lead_notes: ["lead"],
+  deal_contacts: ["deal", "contact"],
+  pipelines: ["deal"],
+  pipeline_stages: ["deal"]
+};
+
+// Tasks belong to whichever records they link to
+const TASK_LINKS = { contact_id: "contact", company_id: "company", deal_id: "deal", lead_id: "lead" };
+
+/**
+ * Audited tables a role limited to `entities` may see entries of. `tasks`
+ * is included; check its entries one by one with isAuditEntryVisible.
+ */
+export function visibleAuditTables(entities) {
+  return [...Object.keys(TABLE_ENTITIES).filter(t => TABLE_ENTITIES[t].every(e => entities.includes(e))), "tasks"];
+}
+
+/**
+ * Whether a role limited to `entities` may see an audit entry, going by
+ * its table and, for tasks, the records the task links to before and after.
+ */
+export function isAuditEntryVisible(entry, entities) {
+  if (entry.table_name === "tasks") {
+    return [entry.before, entry.after].every(row =>
+      Object.entries(TASK_LINKS).every(([column, entity]) => !row?.[column] || entities.includes(entity)));
+  }
+  const types = TABLE_ENTITIES[entry.table_name];
+  return !!types && types.every(e => entities.includes(e));
+}
+
+/**
+ * Identify the caller: OAuth subject or client id over HTTP, otherwise the
+ * configured local actor (STDIO).
+ */
+export function actorFrom(extra, fallbackActor = "local") {
+  const auth = extra?.authInfo;
+  const sub = auth?.extra?.sub;
+  if (typeof sub === "string" && sub) return sub;
+  if (auth?.clientId) return auth.clientId;
+  return fallbackActor;
+}
+
+async function fetchRow(supabase, table, id) {
+  const { data, error } = await supabase.from(table).select("*").eq("id", id).maybeSingle();
+  if (error) {
+    console.error(`Audit: could not snapshot ${table}/${id}: ${error.message}`);
+    return null;
+  }
+  return data ?? null;
+}
+
+/**
+ * Recorder for one tool call.
+ * @param {Object} supabase - Supabase client
+ * @param {{ tool: string, args: Object, actor: string }} context
+ */
+export function createAuditRecorder(supabase, { tool, args, actor }) {
+  return {
+    /**
+     * Insert one audit entry. `recordId` may be composite (e.g. "contact:deal").
+     */
+    async record(table, recordId, before, after) {
+      const entry = {
+        actor,
+        tool,
+        args: args ?? {},
+        table_name: table,
+        record_id: recordId == null ? null : String(recordId),
+        before: before ?? null,
+        after: after ?? null
+      };
+      const { error } = await supabase.from(AUDIT_TABLE).insert([entry]);
+      if (error) console.error(`Audit: failed to record ${tool} on ${table}/${entry.record_id}: ${error.message}`);
+      if (table === "deals") await recordDealTransition(supabase, { actor, tool }, before, after);
+    },
+
+    /**
+     * Snapshot `table`/`id`, run `mutate` (which returns the written row),
+     * and record before/after. For inserts pass id = null; the new row's id
+     * is recorded instead.
+     */
+    async write(table, id, mutate) {
+      const before = id ? await fetchRow(supabase, table, id) : null;
+      const after = await mutate();
+      await this.record(table, id ?? after?.id ?? null, before, after);
+      return after;
+    },
+
+    fetchRow: (table, id) => fetchRow(supabase, table, id),
+
+    // The same recorder logging other args, e.g. without a large payload
+    withArgs: (replaced) => createAuditRecorder(supabase, { tool, args: replaced, actor })
+  };
+}
+
+/**
+ * Wrap an McpServer so every tool handler receives `extra.audit`.
+ */
+export function withAudit(server, supabase, { actor } = {}) {
+  return {
+    registerTool: (name, config, cb) =>
+      server.registerTool(name, config, (args, extra) =>
+        cb(args, { ...extra, audit: createAuditRecorder(supabase, { tool: name, args, actor: actorFrom(extra, actor) }) })
+      )
+  };
+}
@@ -0,0 +1,201 @@
+import { z } from "zod";
+
+/**
+ * Helpers shared by every CRM tool module: result formatting, Supabase error
+ * messages and the schema-tolerant note insert.
+ */
+
+// Helper to stringify results (matches your existing implementation)
+export const ok = (msg, json) => ({
+  content: [
+    { type: "text", text: msg },
+    { type: "text", text: json ? `\n\nResult:\n${JSON.stringify(json, null, 2)}` : "" }
+  ]
+});
+
+// ---- small utils (matches your existing implementation)
+export const omit = (obj, ...keys) => {
+  const c = { ...obj };
+  for (const k of keys) delete c[k];
+  return c;
+};
+
+export function friendlySupabaseError(table, error) {
+  const msg = error?.message || String(error || "Unknown error");
+  if (/row-level security/i.test(msg)) {
+    throw new Error(`Write blocked by Row Level Security on "${table}". Use a service-role key locally or adjust RLS.`);
+  }
+  if (/violates foreign key constraint/i.test(msg)) {
+    throw new Error(`Foreign key error writing to "${table}": ${msg}`);
+  }
+  throw new Error(msg);
+}
+
+// Sanitize arbitrary update payloads against a whitelist and blocked keys
+export function sanitizeUpdates(rawUpdates, allowedKeys, blockedKeys = ["id", "created_at"]) {
+  const updates = {};
+  for (const key of Object.keys(rawUpdates || {})) {
+    if (blockedKeys.includes(key)) continue;
+    if (allowedKeys.includes(key)) updates[key] = rawUpdates[key];
+  }
+  return updates;
+}
+
+/**
+ * Insert a note with smart fallbacks for common schema diffs:
+ * - company_id may be required or may not exist
+ * - author vs created_by
+ * - activity_date vs created_at (or absent)
+ * - body vs content
+ * - type might not exist
+ */
+export async function smartInsertNote(supabase, table, initialPayload) {
+  let payload = { ...initialPayload };
+
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const { data, error } = await supabase.from(table).insert([payload]).select().single();
+    if (!error) return data;
+
+    const msg = error.message || "";
+
+    // Column present/absent permutations
+    if (/column .*company_id.* does not exist/i.test(msg)) { payload = omit(payload, "company_id"); continue; }
+    if (/null value in column .*company_id.* violates/i.test(msg)) {
+      throw new Error(`This CRM requires company_id on ${table}. Link the entity to a company or relax NOT NULL on ${table}.company_id.`);
+    }
+    if (/column .*author.* does not exist/i.test(msg) && "author" in payload) { payload = { ...omit(payload, "author"), created_by: initialPayload.author || "mcp" }; continue; }
+    if (/column .*created_by.* does not exist/i.test(msg) && "created_by" in payload) { payload = omit(payload, "created_by"); continue; }
+    if (/column .*activity_date.* does not exist/i.test(msg) && "activity_date" in payload) {
+      const when = payload.activity_date; payload = { ...omit(payload, "activity_date"), created_at: when }; continue;
+    }
+    if (/column .*created_at.* does not exist/i.test(msg) && "created_at" in payload) { payload = omit(payload, "created_at"); continue; }
+    if (/column .*body.* does not exist/i.test(msg) && "body" in payload) { const t = payload.body; payload = { ...omit(payload, "body"), content: t }; continue; }
+    if (/column .*content.* does not exist/i.test(msg) && "content" in payload) { payload = omit(payload, "content"); continue; }
+    if (/column .*type.* does not exist/i.test(msg) && "type" in payload) { payload = omit(payload, "type"); continue; }
+
+    friendlySupabaseError(table, error);
+  }
+
+  throw new Error(`Failed to insert into ${table} after multiple attempts.`);
+}
+
+export async function getCompanyIdFrom(supabase, table, id) {
+  const r = await supabase.from(table).select("company_id").eq("id", id).maybeSingle();
+  if (r?.error) {
+    // If the entity table doesn't even have company_id, just ignore
+    if (/column .*company_id.* does not exist/i.test(r.error.message)) return null;
+    throw new Error(`${table} lookup failed: ${r.error.message}`);
+  }
+  return r?.data?.company_id ?? null;
+}
+
+// Deal statuses by outcome, compared lowercase; any other status is an open deal.
+// "closed" alone says the deal ended but not how
+export const DEAL_OUTCOMES = {
+  won: ["won", "closed_won"],
+  lost: ["lost", "closed_lost"],
+  cancelled: ["cancelled", "canceled"],
+  closed: ["closed"]
+};
+
+/**
+ * "won", "lost", "cancelled", "closed", or "open" for anything else.
+ */
+export function dealOutcome(status) {
+  const s = String(status ?? "").toLowerCase();
+  return Object.keys(DEAL_OUTCOMES).find(k => DEAL_OUTCOMES[k].includes(s)) ?? "open";
+}
+
+// Lowercase with accents stripped: "Müller" -> "muller"
+export const foldText = (s) => String(s ?? "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+/**
+ * `text` with the LIKE wildcards (`%`, `_`) and backslashes escaped, so ilike
+ * matches it literally.
+ */
+export const likeEscape = (text) => String(text).replace(/[%_\\]/g, "\\$&");
+
+/**
+ * `%text%` for ilike, with the LIKE wildcards in `text` escaped.
+ */
+export const likePattern = (text) => `%${likeEscape(text)}%`;
+
+/**
+ * A value quoted for PostgREST filter strings (`.or()`), so commas, dots,
+ * parentheses and quotes in user input can't change the filter.
+ */
+export const quoteFilterValue = (value) => `"${String(value).replace(/["\\]/g, "\\$&")}"`;
+
+/**
+ * `.or()` filter matching `text` as a substring of any of `columns`.
+ */
+export const ilikeAny = (columns, text) =>
+  columns.map(column => `${column}.ilike.${quoteFilterValue(likePattern(text))}`).join(",");
+
+/**
+ * `.or()` filter matching `column` to `value` exactly, ignoring case.
+ */
+export const ilikeExact = (column, value) => `${column}.ilike.${quoteFilterValue(likeEscape(value))}`;
+
+// Entity type -> table, for tools that work on any of the four record types
+export const ENTITY_TABLES = { contact: "contacts", company: "companies", deal: "deals", lead: "leads" };
+
+/**
+ * Input fields of crm_create_contact, crm_upsert_company and crm_create_lead.
+ * The bulk import (lib/import-tools.js) validates each row against them too.
+ */
+export const CREATE_FIELDS = {
+  contact: {
+    first_name: z.string().min(1),
+    last_name: z.string().min(1),
+    email: z.string().email().optional(),
+    phone: z.string().optional(),
+    company_id: z.string().uuid().optional()
+  },
+  company: {
+    name: z.string().min(1),
+    website: z.string().optional(),
+    phone: z.string().optional(),
+    address: z.string().optional()
+  },
+  lead: {
+    first_name: z.string().min(1),
+    last_name: z.string().min(1),
+    email: z.string().email().optional(),
+    phone: z.string().optional(),
+    company: z.string().optional(),
+    source: z.string().optional(),
+    status: z.string().optional(),
+    message: z.string().optional()
+  }
+};
+
+// Entity type -> its notes table and the column pointing at the entity
+export const NOTE_TABLES = {
+  contact: { table: "contact_notes", column: "contact_id" },
+  company: { table: "company_notes", column: "company_id" },
+  deal: { table: "deal_notes", column: "deal_id" },
+  lead: { table: "lead_notes", column: "lead_id" }
+};
+
+// Postgres says "column x does not exist"; PostgREST writes say "Could not find the 'x' column"
+export const isMissingColumn = (error, column) =>
+  new RegExp(`column .*${column}.* does not exist|could not find the '${column}[^']*' column`, "i").test(error?.message || "");
+
+export const isMissingRelation = (error, table) =>
+  new RegExp(`relation .*${table}.* does not exist|could not find the table .*${table}`, "i").test(error?.message || "");
+
+// For optional tables/columns: a schema without them simply has no rows there
+export const isAbsent = (error, { table, column }) => isMissingRelation(error, table) || isMissingColumn(error, column);
+
+/**
+ * Run a query built by `build(scope)`, where `scope(q)` hides archived rows
+ * unless includeArchived is set. Schemas without archived_at (migration not
+ * applied yet) are queried unfiltered.
+ */
+export async function queryActive(build, includeArchived = false) {
+  if (includeArchived) return build(q => q);
+  const result = await build(q => q.is("archived_at", null));
+  if (isMissingColumn(result.error, "archived_at")) return build(q => q);
+  return result;
+}
@@ -0,0 +1,160 @@
+import { z } from "zod";
+import { ok, friendlySupabaseError, isMissingRelation, dealOutcome } from "./crm-helpers.js";
+
+/**
+ * Deal stage/status history.
+ *
+ * Every deal write goes through the audit recorder, which calls
+ * recordDealTransition with the row before and after. Whenever stage_id,
+ * status or pipeline_id changed (or a deal was created), one row is added to
+ * deal_stage_history, so the history is complete no matter which tool moved
+ * the deal. crm_get_deal_history turns it into time spent per stage.
+ */
+
+export const HISTORY_TABLE = "deal_stage_history";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * The history row for a deal write, or null when nothing tracked changed.
+ */
+export function dealTransition(before, after) {
+  const changed = !before ||
+    before.stage_id !== after.stage_id ||
+    before.status !== after.status ||
+    before.pipeline_id !== after.pipeline_id;
+  if (!changed) return null;
+  return {
+    deal_id: after.id,
+    from_stage_id: before?.stage_id ?? null,
+    to_stage_id: after.stage_id ?? null,
+    from_status: before?.status ?? null,
+    to_status: after.status ?? null,
+    from_pipeline_id: before?.pipeline_id ?? null,
+    to_pipeline_id: after.pipeline_id ?? null
+  };
+}
+
+/**
+ * Append a history row if the write changed a deal's stage, status or pipeline.
+ * Like the audit log, failures are logged and never fail the tool call.
+ */
+export async function recordDealTransition(supabase, { actor, tool }, before, after) {
+  const transition = after?.id ? dealTransition(before, after) : null;
+  if (!transition) return;
+  const { error } = await supabase.from(HISTORY_TABLE).insert([{ ...transition, actor, tool }]);
+  if (error) console.error(`Deal history: failed to record ${tool} on deal ${after.id}: ${error.message}`);
+}
+
+function formatDuration(ms) {
+  const days = Math.floor(ms / DAY);
+  const hours = Math.floor((ms % DAY) / HOUR);
+  const minutes = Math.floor((ms % HOUR) / 60000);
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+/**
+ * Split a deal's life into stage periods. The first period starts when the
+ * deal was created; the last one runs until now, or until the deal was closed.
+ */
+export function stagePeriods(deal, history, now = Date.now()) {
+  const periods = [];
+  let current = {
+    stage_id: history[0] ? history[0].from_stage_id ?? history[0].to_stage_id : deal.stage_id,
+    from: deal.created_at ?? history[0]?.changed_at ?? null
+  };
+  let closedAt = null;
+
+  for (const entry of history) {
+    if (entry.to_stage_id !== current.stage_id) {
+      if (current.stage_id && current.from) periods.push({ ...current, to: entry.changed_at });
+      current = { stage_id: entry.to_stage_id, from: entry.changed_at };
+    }
+    closedAt = dealOutcome(entry.to_status) !== "open" ? closedAt ?? entry.changed_at : null;
+  }
+  if (current.stage_id && current.from) {
+    periods.push({ ...current, to: closedAt ?? new Date(now).toISOString(), current: !closedAt });
+  }
+
+  return periods.map(p => {
+    const ms = Math.max(0, new Date(p.to).getTime() - new Date(p.from).getTime());
+    return { ...p, duration_hours: Math.round((ms / HOUR) * 100) / 100, duration: formatDuration(ms) };
+  });
+}
+
+/**
+ * Register crm_get_deal_history.
+ * @param {Object} server - MCP server (or the wrapped facade from registerCrmTools)
+ * @param {Object} supabase - The Supabase client instance
+ */
+export function registerDealHistoryTools(server, supabase) {
+  server.registerTool(
+    "crm_get_deal_history",
+    {
+      title: "Get deal history",
+      description: "Show a deal's stage and status transitions (when, who, which tool) and how long it spent in each stage.",
+      annotations: { readOnlyHint: true },
+      inputSchema: {
+        deal_id: z.string().uuid()
+      }
+    },
+    async ({ deal_id }) => {
+      const { data: deal, error: dealError } = await supabase
+        .from("deals")
+        .select("id, title, status, stage_id, pipeline_id, created_at")
+        .eq("id", deal_id)
+        .maybeSingle();
+      if (dealError) friendlySupabaseError("deals", dealError);
+      if (!deal) throw new Error(`No deal with id ${deal_id}.`);
+
+      const { data: history, error } = await supabase
+        .from(HISTORY_TABLE)
+        .select("*")
+        .eq("deal_id", deal_id)
+        .order("changed_at", { ascending: true });
+      if (error) {
+        if (isMissingRelation(error, HISTORY_TABLE)) {
+          throw new Error(`History table "${HISTORY_TABLE}" not found. Apply supabase/migrations to create it.`);
+        }
+        friendlySupabaseError(HISTORY_TABLE, error);
+      }
+
+      const stageIds = [...new Set([deal.stage_id, ...history.flatMap(h => [h.from_stage_id, h.to_stage_id])].filter(Boolean))];
+      const { data: stages, error: stageError } = stageIds.length
+        ? await supabase.from("pipeline_stages").select("id, code, name, pipeline_id").in("id", stageIds)
+        : { data: [], error: null };
+      if (stageError) friendlySupabaseError("pipeline_stages", stageError);
+      const stageName = (id) => {
+        const s = (stages || []).find(st => st.id === id);
+        return s ? s.name ?? s.code : id;
+      };
+
+      const periods = stagePeriods(deal, history).map(p => ({ ...p, stage: stageName(p.stage_id) }));
+      const byStage = {};
+      for (const p of periods) {
+        const totals = (byStage[p.stage] ||= { stage_id: p.stage_id, visits: 0, hours: 0 });
+        totals.visits++;
+        totals.hours = Math.round((totals.hours + p.duration_hours) * 100) / 100;
+      }
+
+      return ok(`Deal ${deal_id} has ${history.length} recorded transitions.`, {
+        deal: { ...deal, stage: stageName(deal.stage_id) },
+        transitions: history.map(h => ({
+          changed_at: h.changed_at,
+          actor: h.actor,
+          tool: h.tool,
+          from_stage: h.from_stage_id ? stageName(h.from_stage_id) : null,
+          to_stage: h.to_stage_id ? stageName(h.to_stage_id) : null,
+          from_status: h.from_status,
+          to_status: h.to_status,
+          ...(h.from_pipeline_id !== h.to_pipeline_id ? { from_pipeline_id: h.from_pipeline_id, to_pipeline_id: h.to_pipeline_id } : {})
+        })),
+        time_in_stage: periods,
+        totals_by_stage: byStage
+      });
+    }
+  );
+}
@@ -0,0 +1,346 @@
+import { z } from "zod";
+import {
+  ok,
+  friendlySupabaseError,
+  queryActive,
+  isAbsent,
+  foldText,
+  NOTE_TABLES
+} from "./crm-helpers.js";
+
+/**
+ * Duplicate detection and merging for contacts and companies.
+ *
+ * crm_find_duplicates scores pairs by normalized name, email, phone and
+ * website domain. Only records sharing at least one normalized key are
+ * compared, so scanning a few thousand rows stays cheap.
+ *
+ * The merge tools move everything that points at the duplicate onto the
+ * survivor, fill the survivor's empty fields from the duplicate and then
+ * delete the duplicate. Every moved row is recorded in the audit log.
+ */
+
+const NOTE_TABLE_NAMES = Object.values(NOTE_TABLES).map(n => n.table);
+
+// Columns that may carry a unique constraint, so a value can't be on both records at once
+const UNIQUE_COLUMNS = { contact: ["email"], company: ["name"] };
+
+// Legal-form suffixes ignored when comparing company names
+const COMPANY_SUFFIXES = new Set([
+  "gmbh", "mbh", "ag", "kg", "ohg", "gbr", "ug", "ev", "se", "co", "kgaa",
+  "inc", "incorporated", "corp", "corporation", "llc", "ltd", "limited", "plc", "lp", "llp",
+  "sa", "sarl", "sas", "srl", "spa", "bv", "nv", "ab", "as", "oy", "company"
+]);
+
+const words = (s) => foldText(s).split(/[^a-z0-9]+/).filter(Boolean);
+
+function normalizeCompanyName(name) {
+  return words(name).filter(w => !COMPANY_SUFFIXES.has(w)).join(" ");
+}
+
+function normalizePersonName(first, last) {
+  return words(`${first ?? ""} ${last ?? ""}`).join(" ");
+}
+
+function normalizeEmail(email) {
+  const e = foldText(email).trim();
+  return e.includes("@") ? e : "";
+}
+
+// Compare on the last 9 digits so "+49 30 1234567" and "030 1234567" match
+function normalizePhone(phone) {
+  const digits = String(phone ?? "").replace(/\D/g, "");
+  return digits.length >= 6 ? digits.slice(-9) : "";
+}
+
+function websiteDomain(url) {
+  const raw = foldText(url).trim();
+  if (!raw) return "";
+  try {
+    return new URL(raw.includes("://") ? raw : `http://${raw}`).hostname.replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+// Signals per entity type: key(row) -> normalized value, weight when equal
+const SIGNALS = {
+  contact: [
+    { reason: "same email", weight: 0.9, key: r => normalizeEmail(r.email) },
+    { reason: "same name", weight: 0.6, key: r => normalizePersonName(r.first_name, r.last_name) || words(r.full_name).join(" ") },
+    { reason: "same phone", weight: 0.5, key: r => normalizePhone(r.phone) }
+  ],
+  company: [
+    { reason: "same name", weight: 0.8, key: r => normalizeCompanyName(r.name) },
+    { reason: "same website domain", weight: 0.8, key: r => websiteDomain(r.website) },
+    { reason: "same phone", weight: 0.4, key: r => normalizePhone(r.phone) }
+  ]
+};
+
+const TABLES = { contact: "contacts", company: "companies" };
+
+/**
+ * Score a pair: signals combine like independent evidence (1 - Π(1 - w)).
+ */
+function scorePair(entity, a, b) {
+  const reasons = [];
+  let miss = 1;
+  for (const signal of SIGNALS[entity]) {
+    const ka = signal.key(a);
+    if (ka && ka === signal.key(b)) {
+      reasons.push(signal.reason);
+      miss *= 1 - signal.weight;
+    }
+  }
+  return { score: Math.round((1 - miss) * 100) / 100, reasons };
+}
+
+function candidatePairs(entity, rows, targetId) {
+  const buckets = new Map();
+  for (const row of rows) {
+    for (const [i, signal] of SIGNALS[entity].entries()) {
+      const key = signal.key(row);
+      if (!key) continue;
+      const bucketKey = `${i}:${key}`;
+      if (!buckets.has(bucketKey)) buckets.set(bucketKey, []);
+      buckets.get(bucketKey).push(row);
+    }
+  }
+
+  const pairs = new Map();
+  for (const bucket of buckets.values()) {
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        const [a, b] = bucket[i].id < bucket[j].id ? [bucket[i], bucket[j]] : [bucket[j], bucket[i]];
+        if (targetId && a.id !== targetId && b.id !== targetId) continue;
+        pairs.set(`${a.id}|${b.id}`, [a, b]);
+      }
+    }
+  }
+  return [...pairs.values()];
+}
+
+const summarize = (entity, r) => entity === "contact"
+  ? { id: r.id, first_name: r.first_name, last_name: r.last_name, email: r.email, phone: r.phone, company_id: r.company_id }
+  : { id: r.id, name: r.name, website: r.website, phone: r.phone };
+
+// ---- merging
+
+/**
+ * Columns pointing at a contact/company. deal_contacts is handled separately
+ * because (deal_id, contact_id) must stay unique.
+ */
+const REFERENCES = {
+  contact: [
+    { table: "deals", column: "contact_person_id" },
+    { table: "leads", column: "converted_contact_id" },
+    { table: "tasks", column: "contact_id" },
+    ...NOTE_TABLE_NAMES.map(table => ({ table, column: "contact_id" }))
+  ],
+  company: [
+    { table: "contacts", column: "company_id" },
+    { table: "deals", column: "company_id" },
+    { table: "leads", column: "company_id" },
+    { table: "leads", column: "converted_company_id" },
+    { table: "tasks", column: "company_id" },
+    ...NOTE_TABLE_NAMES.map(table => ({ table, column: "company_id" }))
+  ]
+};
+
+const NEVER_COPIED = new Set(["id", "created_at", "updated_at", "archived_at"]);
+
+async function countRefs(supabase, ref, id) {
+  const { count, error } = await supabase.from(ref.table).select("*", { count: "exact" }).eq(ref.column, id).limit(1);
+  if (error) {
+    if (isAbsent(error, ref)) return 0;
+    friendlySupabaseError(ref.table, error);
+  }
+  return count || 0;
+}
+
+async function repoint(supabase, audit, ref, fromId, toId) {
+  const { data, error } = await supabase.from(ref.table).update({ [ref.column]: toId }).eq(ref.column, fromId).select();
+  if (error) {
+    if (isAbsent(error, ref)) return 0;
+    friendlySupabaseError(ref.table, error);
+  }
+  for (const row of data || []) await audit.record(ref.table, row.id, { ...row, [ref.column]: fromId }, row);
+  return data?.length || 0;
+}
+
+// Move the duplicate's deal links; links to deals the survivor is already on are dropped
+async function mergeDealContacts(supabase, audit, fromId, toId, dryRun) {
+  const ref = { table: "deal_contacts", column: "contact_id" };
+  const { data: survivorLinks, error } = await supabase.from("deal_contacts").select("deal_id").eq("contact_id", toId);
+  if (error) {
+    if (isAbsent(error, ref)) return { moved: 0, dropped: 0 };
+    friendlySupabaseError("deal_contacts", error);
+  }
+  const { data: loserLinks, error: loserError } = await supabase.from("deal_contacts").select("*").eq("contact_id", fromId);
+  if (loserError) friendlySupabaseError("deal_contacts", loserError);
+
+  const onSurvivor = new Set((survivorLinks || []).map(l => l.deal_id));
+  const clashing = (loserLinks || []).filter(l => onSurvivor.has(l.deal_id));
+  const result = { moved: (loserLinks || []).length - clashing.length, dropped: clashing.length };
+  if (dryRun) return result;
+
+  for (const link of clashing) {
+    const { error: delError } = await supabase.from("deal_contacts").delete().eq("contact_id", fromId).eq("deal_id", link.deal_id);
+    if (delError) friendlySupabaseError("deal_contacts", delError);
+    await audit.record("deal_contacts", link.id ?? `${fromId}:${link.deal_id}`, link, null);
+  }
+  await repoint(supabase, audit, ref, fromId, toId);
+  return result;
+}
+
+async function mergeRecords(supabase, audit, entity, survivorId, duplicateId, { fillMissing, dryRun }) {
+  const table = TABLES[entity];
+  if (survivorId === duplicateId) throw new Error("survivor_id and duplicate_id must differ.");
+
+  const { data: pair, error } = await supabase.from(table).select("*").in("id", [survivorId, duplicateId]);
+  if (error) friendlySupabaseError(table, error);
+  const survivor = pair?.find(r => r.id === survivorId);
+  const duplicate = pair?.find(r => r.id === duplicateId);
+  if (!survivor) throw new Error(`No ${entity} with id ${survivorId}.`);
+  if (!duplicate) throw new Error(`No ${entity} with id ${duplicateId}.`);
+
+  const fill = {};
+  if (fillMissing) {
+    for (const [key, value] of Object.entries(duplicate)) {
+      if (NEVER_COPIED.has(key) || value === null || value === "") continue;
+      if (survivor[key] === null || survivor[key] === undefined || survivor[key] === "") fill[key] = value;
+    }
+  }
+
+  const moved = {};
+  for (const ref of REFERENCES[entity]) {
+    const n = dryRun
+      ? await countRefs(supabase, ref, duplicateId)
+      : await repoint(supabase, audit, ref, duplicateId, survivorId);
+    if (n) moved[`${ref.table}.${ref.column}`] = n;
+  }
+  if (entity === "contact") {
+    const links = await mergeDealContacts(supabase, audit, duplicateId, survivorId, dryRun);
+    if (links.moved) moved["deal_contacts.contact_id"] = links.moved;
+    if (links.dropped) moved["deal_contacts (already on survivor, dropped)"] = links.dropped;
+  }
+
+  if (dryRun) return { dry_run: true, survivor, duplicate, would_move: moved, would_fill: fill };
+
+  // Fill before deleting, so a failed fill loses nothing. A unique value
+  // (e.g. the email) is first taken off the duplicate so it can move
+  let merged = survivor;
+  if (Object.keys(fill).length) {
+    const freed = UNIQUE_COLUMNS[entity].filter(c => c in fill);
+    const setOnDuplicate = async (values) => audit.write(table, duplicateId, async () => {
+      const { data, error: updateError } = await supabase.from(table).update(values).eq("id", duplicateId).select().single();
+      if (updateError) friendlySupabaseError(table, updateError);
+      return data;
+    });
+    if (freed.length) await setOnDuplicate(Object.fromEntries(freed.map(c => [c, null])));
+
+    try {
+      merged = await audit.write(table, survivorId, async () => {
+        const { data, error: fillError } = await supabase.from(table).update(fill).eq("id", survivorId).select().single();
+        if (fillError) friendlySupabaseError(table, fillError);
+        return data;
+      });
+    } catch (e) {
+      if (freed.length) await setOnDuplicate(Object.fromEntries(freed.map(c => [c, duplicate[c]])));
+      throw new Error(`Could not fill ${entity} ${survivorId} from the duplicate: ${e.message.replace(/\.?$/, ".")} References were moved to the survivor, but ${duplicateId} was kept unchanged. Merge again with fill_missing: false to finish.`);
+    }
+  }
+
+  const { error: delError } = await supabase.from(table).delete().eq("id", duplicateId);
+  if (delError) friendlySupabaseError(table, delError);
+  await audit.record(table, duplicateId, duplicate, null);
+
+  return { survivor: merged, moved, filled: Object.keys(fill) };
+}
+
+/**
+ * Register crm_find_duplicates, crm_merge_contacts and crm_merge_companies.
+ * @param {Object} server - MCP server (or the wrapped facade from registerCrmTools)
+ * @param {Object} supabase - The Supabase client instance
+ */
+export function registerDuplicateTools(server, supabase) {
+  server.registerTool(
+    "crm_find_duplicates",
+    {
+      title: "Find duplicates",
+      description: "Find likely duplicate contacts or companies, scored 0-1 by normalized name, email, phone and website domain. Pass record_id to check one record.",
+      annotations: { readOnlyHint: true },
+      inputSchema: {
+        entity_type: z.enum(["contact", "company"]),
+        record_id: z.string().uuid().optional(),
+        min_score: z.number().min(0).max(1).optional(),
+        scan_limit: z.number().min(1).max(10000).optional(),
+        limit: z.number().min(1).max(200).optional()
+      }
+    },
+    async ({ entity_type, record_id, min_score = 0.5, scan_limit = 2000, limit = 25 }) => {
+      const table = TABLES[entity_type];
+      const { data: rows, error } = await queryActive(active => active(supabase
+        .from(table)
+        .select("*"))
+        .order("created_at", { ascending: true })
+        .limit(scan_limit));
+      if (error) friendlySupabaseError(table, error);
+
+      if (record_id && !rows.some(r => r.id === record_id)) {
+        const { data: target, error: targetError } = await supabase.from(table).select("*").eq("id", record_id).maybeSingle();
+        if (targetError) friendlySupabaseError(table, targetError);
+        if (!target) throw new Error(`No ${entity_type} with id ${record_id}.`);
+        rows.push(target);
+      }
+
+      const matches = candidatePairs(entity_type, rows, record_id)
+        .map(([a, b]) => ({ ...scorePair(entity_type, a, b), a: summarize(entity_type, a), b: summarize(entity_type, b) }))
+        .filter(m => m.score >= min_score)
+        .sort((x, y) => y.score - x.score)
+        .slice(0, limit);
+
+      const scanned = rows.length >= scan_limit ? ` (scanned the first ${scan_limit}; raise scan_limit to check more)` : "";
+      return ok(`Found ${matches.length} likely duplicate ${entity_type} pairs${scanned}.`, matches);
+    }
+  );
+
+  const mergeSchema = {
+    survivor_id: z.string().uuid(),
+    duplicate_id: z.string().uuid(),
+    fill_missing: z.boolean().optional(),
+    dry_run: z.boolean().optional()
+  };
+
+  server.registerTool(
+    "crm_merge_contacts",
+    {
+      title: "Merge contacts",
+      description: "Merge a duplicate contact into a survivor: re-points deals.contact_person_id, deal_contacts and notes, fills the survivor's empty fields (fill_missing, default true), then deletes the duplicate. dry_run shows what would change.",
+      annotations: { destructiveHint: true },
+      inputSchema: mergeSchema
+    },
+    async ({ survivor_id, duplicate_id, fill_missing = true, dry_run = false }, { audit }) => {
+      const result = await mergeRecords(supabase, audit, "contact", survivor_id, duplicate_id, { fillMissing: fill_missing, dryRun: dry_run });
+      return ok(dry_run
+        ? `Dry run: merging contact ${duplicate_id} into ${survivor_id}.`
+        : `Merged contact ${duplicate_id} into ${survivor_id}.`, result);
+    }
+  );
+
+  server.registerTool(
+    "crm_merge_companies",
+    {
+      title: "Merge companies",
+      description: "Merge a duplicate company into a survivor: re-points contacts, deals, leads and notes, fills the survivor's empty fields (fill_missing, default true), then deletes the duplicate. dry_run shows what would change.",
+      annotations: { destructiveHint: true },
+      inputSchema: mergeSchema
+    },
+    async ({ survivor_id, duplicate_id, fill_missing = true, dry_run = false }, { audit }) => {
+      const result = await mergeRecords(supabase, audit, "company", survivor_id, duplicate_id, { fillMissing: fill_missing, dryRun: dry_run });
+      return ok(dry_run
+        ? `Dry run: merging company ${duplicate_id} into ${survivor_id}.`
+        : `Merged company ${duplicate_id} into ${survivor_id}.`, result);
+    }
+  );
+}
@@ -0,0 +1,199 @@
+import { z } from "zod";
+import { friendlySupabaseError, isAbsent } from "./crm-helpers.js";
+import { QUERY_FIELDS, filterSchema, queryPages } from "./query-tools.js";
+import { contactVcard } from "./vcard.js";
+
+/**
+ * crm_export and bin/export.mjs: the rows of a structured query (the same
+ * filters and sort as crm_query) as CSV, NDJSON or, for contacts, vCard 4.0.
+ *
+ * Rows are fetched a page at a time and formatted as they arrive, so the CLI
+ * streams tables of any size straight to a file. The tool collects the output
+ * into one embedded resource and stops at `max_rows`.
+ */
+
+export const EXPORT_FORMATS = ["csv", "ndjson", "vcard"];
+
+const MIME_TYPES = { csv: "text/csv", ndjson: "application/x-ndjson", vcard: "text/vcard" };
+const EXTENSIONS = { csv: "csv", ndjson: "ndjson", vcard: "vcf" };
+
+const PAGE_SIZE = 1000;
+// Ids per related-record lookup
+const LOOKUP_CHUNK = 200;
+
+const personName = (r) => r.full_name || [r.first_name, r.last_name].filter(Boolean).join(" ");
+
+// A column read from a related record: `via` holds its id; `entity` is checked against the caller's role
+const related = (table, via, value, entity = null) => ({ table, via, value, entity });
+
+const companyName = related("companies", "company_id", r => r.name, "company");
+
+/**
+ * Related columns per entity, exported next to the record's own fields.
+ */
+export const RELATED_COLUMNS = {
+  contact: { company_name: companyName },
+  company: {},
+  deal: {
+    company_name: companyName,
+    contact_name: related("contacts", "contact_person_id", personName, "contact"),
+    contact_email: related("contacts", "contact_person_id", r => r.email, "contact"),
+    pipeline_name: related("pipelines", "pipeline_id", r => r.name),
+    stage_name: related("pipeline_stages", "stage_id", r => r.name)
+  },
+  lead: { company_name: companyName }
+};
+
+/**
+ * The columns to export: `fields` as given, or every queryable field plus
+ * the related columns the caller's role may see.
+ */
+function exportColumns(entity, fields, entities) {
+  const own = Object.keys(QUERY_FIELDS[entity]);
+  const extra = RELATED_COLUMNS[entity];
+  const visible = (name) => !extra[name]?.entity || !entities || entities.includes(extra[name].entity);
+  if (!fields) return [...own, ...Object.keys(extra).filter(visible)];
+
+  for (const name of fields) {
+    if (!own.includes(name) && !extra[name]) {
+      throw new Error(`Unknown field "${name}" for ${entity}. Fields: ${[...own, ...Object.keys(extra)].join(", ")}.`);
+    }
+    if (!visible(name)) throw new Error(`${name} comes from ${extra[name].entity} records, which your role may not see.`);
+  }
+  return [...new Set(fields)];
+}
+
+// Fill in related columns for one page of rows, caching looked-up records by table
+async function addRelated(supabase, entity, rows, columns, cache) {
+  const wanted = columns.filter(c => RELATED_COLUMNS[entity][c]).map(c => [c, RELATED_COLUMNS[entity][c]]);
+  for (const { table, via } of new Map(wanted.map(([, r]) => [`${r.table}.${r.via}`, r])).values()) {
+    const known = (cache[table] ||= new Map());
+    const ids = [...new Set(rows.map(r => r[via]).filter(id => id && !known.has(id)))];
+    for (let i = 0; i < ids.length; i += LOOKUP_CHUNK) {
+      const { data, error } = await supabase.from(table).select("*").in("id", ids.slice(i, i + LOOKUP_CHUNK));
+      if (error) {
+        if (isAbsent(error, { table })) break;
+        friendlySupabaseError(table, error);
+      }
+      for (const row of data || []) known.set(row.id, row);
+    }
+  }
+  return rows.map(row => {
+    const out = { ...row };
+    for (const [name, { table, via, value }] of wanted) {
+      const target = row[via] ? cache[table]?.get(row[via]) : null;
+      out[name] = target ? value(target) ?? null : null;
+    }
+    return out;
+  });
+}
+
+function csvValue(value, delimiter) {
+  if (value == null) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+const csvLine = (values, delimiter) => `${values.map(v => csvValue(v, delimiter)).join(delimiter)}\r\n`;
+
+/**
+ * Set up an export. `chunks` yields the output text piece by piece; `stats`
+ * holds the number of rows written so far and whether max_rows cut it short.
+ * @param {Object} supabase - The Supabase client instance
+ * @param {Object} options
+ * @param {"contact"|"company"|"deal"|"lead"} options.entity_type
+ * @param {"csv"|"ndjson"|"vcard"} [options.format] - Default csv
+ * @param {string[]} [options.fields] - Columns (csv, ndjson); default all fields and related columns
+ * @param {Object[]} [options.filters] - As for crm_query
+ * @param {{ field: string, direction?: "asc"|"desc" }} [options.sort] - As for crm_query
+ * @param {boolean} [options.include_archived]
+ * @param {"," | ";" | "\t"} [options.delimiter] - CSV delimiter, default comma
+ * @param {number} [options.max_rows] - Stop after this many rows
+ * @param {string[]} [options.entities] - Entity types the caller's role may see
+ */
+export function createExport(supabase, options) {
+  const { entity_type: entity, format = "csv", filters = [], sort, include_archived = false, delimiter = ",", max_rows: maxRows = Infinity } = options;
+  if (format === "vcard" && entity !== "contact") throw new Error("vCard export is for contacts only.");
+  if (format === "vcard" && options.fields) throw new Error("vCard export has a fixed set of properties; leave out fields.");
+  const columns = exportColumns(entity, options.fields, options.entities);
+
+  const stats = { rows: 0, truncated: false };
+  const pick = (row) => Object.fromEntries(columns.map(c => [c, row[c] ?? null]));
+
+  async function* chunks() {
+    if (format === "csv") yield csvLine(columns, delimiter);
+    const cache = {};
+    const pageSize = Math.min(PAGE_SIZE, maxRows);
+    for await (const page of queryPages(supabase, { entity_type: entity, filters, sort, include_archived }, pageSize)) {
+      const room = maxRows - stats.rows;
+      if (page.length > room) stats.truncated = true;
+      const rows = await addRelated(supabase, entity, page.slice(0, room), columns, cache);
+      let text = "";
+      for (const row of rows) {
+        if (format === "csv") text += csvLine(columns.map(c => row[c]), delimiter);
+        else if (format === "ndjson") text += `${JSON.stringify(pick(row))}\n`;
+        else text += contactVcard(row);
+      }
+      stats.rows += rows.length;
+      if (text) yield text;
+      if (stats.truncated) return;
+    }
+  }
+
+  return {
+    columns,
+    mimeType: MIME_TYPES[format],
+    filename: `${entity === "company" ? "companies" : `${entity}s`}.${EXTENSIONS[format]}`,
+    stats,
+    chunks: chunks()
+  };
+}
+
+/**
+ * Register crm_export.
+ * @param {Object} server - MCP server (or the wrapped facade from registerCrmTools)
+ * @param {Object} supabase - The Supabase client instance
+ */
+export function registerExportTools(server, supabase) {
+  const relatedList = Object.entries(RELATED_COLUMNS)
+    .filter(([, columns]) => Object.keys(columns).length)
+    .map(([entity, columns]) => `${entity}: ${Object.keys(columns).join(", ")}`)
+    .join("; ");
+
+  server.registerTool(
+    "crm_export",
+    {
+      title: "Export records",
+      description: `Export the contacts, companies, deals or leads matching crm_query-style filters as CSV, NDJSON or (contacts only) vCard 4.0, returned as a file resource. fields picks the columns (default: all), including related columns (${relatedList}). Stops after max_rows (default 5000); use the medicus-crm-export CLI for larger exports.`,
+      annotations: { readOnlyHint: true },
+      inputSchema: {
+        entity_type: z.enum(["contact", "company", "deal", "lead"]),
+        format: z.enum(EXPORT_FORMATS).optional(),
+        fields: z.array(z.string()).min(1).max(60).optional(),
+        filters: z.array(filterSchema).max(20).optional(),
+        sort: z.object({
+          field: z.string(),
+          direction: z.enum(["asc", "desc"]).optional()
+        }).optional(),
+        include_archived: z.boolean().optional(),
+        delimiter: z.enum([",", ";", "\t"]).optional(),
+        max_rows: z.number().int().min(1).max(20000).optional()
+      }
+    },
+    async (args, extra) => {
+      const { format = "csv", max_rows = 5000 } = args;
+      const exp = createExport(supabase, { ...args, format, max_rows, entities: extra?.entities });
+      const parts = [];
+      for await (const chunk of exp.chunks) parts.push(chunk);
+
+      const { rows, truncated } = exp.stats;
+      const note = truncated ? ` Stopped at max_rows (${max_rows}); narrow the filters, raise max_rows or use the medicus-crm-export CLI.` : "";
+      return {
+        content: [
+          { type: "text", text: `Exported ${rows} ${args.entity_type} rows as ${exp.filename}.${note}` },
+          { type: "resource", resource: { uri: `crm-export:///${exp.filename}`, mimeType: exp.mimeType, text: parts.join("") } }
+        ]
+      };
+    }
+  );
+}
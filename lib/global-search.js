@@ -0,0 +1,202 @@
+import { z } from "zod";
+import {
+  ok,
+  friendlySupabaseError,
+  ENTITY_TABLES,
+  foldText,
+  likeEscape,
+  quoteFilterValue,
+  queryActive
+} from "./crm-helpers.js";
+
+/**
+ * crm_global_search: one query across contacts, leads, companies and deals,
+ * ranked by match quality.
+ *
+ * Postgres ilike is case- but not accent-insensitive, so candidates are
+ * fetched with patterns in which letters that commonly carry accents are
+ * single-character wildcards ("muller" -> "%m_ll_r%", which also finds
+ * "Müller"), then checked and ranked on accent-folded text here. The
+ * patterns run best match first (exact, prefix, word prefix, substring), so
+ * the exact and prefix hits of a short or common term are never crowded out
+ * of the candidate rows by substring matches.
+ */
+
+// Rows per entity type; later patterns stop once this many were fetched
+const CANDIDATES = 200;
+
+// Letters whose accented forms ("ü", "é", "ñ", "ç", "š", ...) fold to them
+const ACCENTED = /[aceinousyz]/g;
+
+const RANK = { exact_email: 100, exact: 90, prefix: 70, word_prefix: 60, substring: 40, all_words: 30 };
+
+// Linked deals rank below the company or contact that matched
+const LINKED_FACTOR = 0.5;
+
+const personName = (r) => r.full_name || [r.first_name, r.last_name].filter(Boolean).join(" ");
+
+// Per entity: columns to fetch candidates by, display name, and fields to rank on
+const TARGETS = {
+  contact: {
+    columns: ["first_name", "last_name", "email"],
+    name: personName,
+    fields: r => [["name", personName(r)], ["email", r.email]]
+  },
+  lead: {
+    columns: ["first_name", "last_name", "email", "company"],
+    name: r => personName(r) || r.company || r.email,
+    fields: r => [["name", personName(r)], ["email", r.email], ["company", r.company]]
+  },
+  company: {
+    columns: ["name", "website"],
+    name: r => r.name,
+    fields: r => [["name", r.name], ["website", r.website]]
+  },
+  deal: {
+    columns: ["title"],
+    name: r => r.title,
+    fields: r => [["title", r.title]]
+  }
+};
+
+const squash = (s) => foldText(s).replace(/\s+/g, " ").trim();
+
+/**
+ * Best match of the query against a record's fields, or null.
+ * @returns {{ field: string, match: string, score: number } | null}
+ */
+export function bestMatch(fields, query, tokens) {
+  let best = null;
+  const consider = (field, match) => {
+    if (!best || RANK[match] > best.score) best = { field, match, score: RANK[match] };
+  };
+
+  for (const [field, raw] of fields) {
+    const value = squash(raw);
+    if (!value) continue;
+    if (value === query) consider(field, field === "email" ? "exact_email" : "exact");
+    else if (value.startsWith(query)) consider(field, "prefix");
+    else if (value.split(/[^a-z0-9@]+/).some(w => w.startsWith(query))) consider(field, "word_prefix");
+    else if (value.includes(query)) consider(field, "substring");
+  }
+  if (!best && tokens.length > 1) {
+    const all = fields.map(([, raw]) => squash(raw)).join(" ");
+    if (tokens.every(t => all.includes(t))) best = { field: "name", match: "all_words", score: RANK.all_words };
+  }
+  return best;
+}
+
+/**
+ * ilike patterns for one search word, best matches first: exact, prefix as
+ * typed, then prefix, word prefix and substring ignoring accents.
+ */
+export function candidatePatterns(typed, folded) {
+  const exact = likeEscape(typed);
+  const loose = likeEscape(folded).replace(ACCENTED, "_");
+  return [...new Set([exact, loose, `${exact}%`, `${loose}%`, `% ${loose}%`, `%${loose}%`])];
+}
+
+// Rows of one entity type that may match; the real check happens in bestMatch
+async function candidates(supabase, entity, typed, folded, includeArchived) {
+  const table = ENTITY_TABLES[entity];
+  const rows = new Map();
+  for (const pattern of candidatePatterns(typed, folded)) {
+    // Rows from earlier patterns come back again; ask for enough to get CANDIDATES new ones
+    const { data, error } = await queryActive(scope => scope(supabase
+      .from(table)
+      .select("*")
+      .or(TARGETS[entity].columns.map(c => `${c}.ilike.${quoteFilterValue(pattern)}`).join(",")))
+      .limit(CANDIDATES + rows.size), includeArchived);
+    if (error) friendlySupabaseError(table, error);
+    for (const row of data || []) if (!rows.has(row.id)) rows.set(row.id, row);
+    if (rows.size >= CANDIDATES) break;
+  }
+  return [...rows.values()];
+}
+
+// "email prefix", "name word prefix", "exact email", ...
+const describe = (match) => match.match === "exact_email" ? "exact email" : `${match.field} ${match.match.replace("_", " ")}`;
+
+function hit(entity, row, match, why) {
+  return { type: entity, id: row.id, name: TARGETS[entity].name(row) || row.id, match: match.match, why, score: match.score };
+}
+
+/**
+ * Register crm_global_search.
+ * @param {Object} server - MCP server (or the wrapped facade from registerCrmTools)
+ * @param {Object} supabase - The Supabase client instance
+ */
+export function registerGlobalSearchTools(server, supabase) {
+  server.registerTool(
+    "crm_global_search",
+    {
+      title: "Search everything",
+      description: "Search contacts, leads, companies and deals at once, ignoring case and accents (\"muller\" finds \"Müller\"). Results are ranked: exact email, exact, prefix, word prefix, substring. Deals also match through their company or contact person. Returns type, id, name and why each record matched.",
+      annotations: { readOnlyHint: true },
+      inputSchema: {
+        query: z.string().trim().min(2),
+        types: z.array(z.enum(["contact", "lead", "company", "deal"])).min(1).optional(),
+        limit: z.number().int().min(1).max(50).optional(),
+        include_archived: z.boolean().optional()
+      }
+    },
+    async ({ query, types = Object.keys(TARGETS), limit = 10, include_archived = false }, extra) => {
+      const folded = squash(query);
+      const tokens = folded.split(" ").filter(Boolean);
+      // Fetch by the longest word; multi-word queries are checked as a whole afterwards
+      const typed = folded.includes("@")
+        ? query.trim()
+        : query.trim().split(/\s+/).reduce((a, b) => (squash(b).length > squash(a).length ? b : a), "");
+      const token = squash(typed);
+
+      const allowed = (entity) => !extra?.entities || extra.entities.includes(entity);
+      const hidden = types.filter(t => !allowed(t));
+      const wanted = types.filter(allowed);
+      // Companies and contacts are also searched to find their deals
+      const searched = Object.keys(TARGETS).filter(e =>
+        wanted.includes(e) || (wanted.includes("deal") && (e === "company" || e === "contact") && allowed(e)));
+
+      const results = [];
+      const matched = { company: [], contact: [] };
+      for (const entity of searched) {
+        for (const row of await candidates(supabase, entity, typed.normalize("NFC"), token, include_archived)) {
+          const match = bestMatch(TARGETS[entity].fields(row), folded, tokens);
+          if (!match) continue;
+          if (entity in matched) matched[entity].push({ row, match });
+          if (wanted.includes(entity)) results.push(hit(entity, row, match, describe(match)));
+        }
+      }
+
+      if (wanted.includes("deal")) {
+        const direct = new Set(results.filter(r => r.type === "deal").map(r => r.id));
+        for (const [entity, column] of [["company", "company_id"], ["contact", "contact_person_id"]]) {
+          const via = new Map(matched[entity].map(m => [m.row.id, m]));
+          if (!via.size) continue;
+          const { data, error } = await queryActive(scope => scope(supabase
+            .from("deals")
+            .select("*")
+            .in(column, [...via.keys()]))
+            .limit(CANDIDATES), include_archived);
+          if (error) friendlySupabaseError("deals", error);
+          for (const deal of data || []) {
+            if (direct.has(deal.id)) continue;
+            direct.add(deal.id);
+            const link = via.get(deal[column]);
+            const linkName = TARGETS[entity].name(link.row);
+            results.push({
+              ...hit("deal", deal, link.match, `${entity} "${linkName}": ${describe(link.match)}`),
+              score: Math.round(link.match.score * LINKED_FACTOR)
+            });
+          }
+        }
+      }
+
+      results.sort((a, b) => b.score - a.score || String(a.name).length - String(b.name).length || String(a.name).localeCompare(String(b.name)));
+      const top = results.slice(0, limit);
+      return ok(`${results.length} matches for "${query}"${results.length > top.length ? `, showing the best ${top.length}` : ""}.`, {
+        results: top,
+        ...(hidden.length ? { hidden_entities: hidden } : {})
+      });
+    }
+  );
+}
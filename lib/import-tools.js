@@ -0,0 +1,371 @@
+import { z } from "zod";
+import {
+  ok,
+  omit,
+  friendlySupabaseError,
+  foldText,
+  ilikeExact,
+  CREATE_FIELDS,
+  ENTITY_TABLES
+} from "./crm-helpers.js";
+
+/**
+ * Bulk import of contacts, companies and leads from CSV or JSON, used by
+ * crm_import_records and bin/import.mjs.
+ *
+ * Each row is validated against the same fields as crm_create_contact,
+ * crm_upsert_company and crm_create_lead (CREATE_FIELDS). With a dedupe key,
+ * rows matching an existing record (case-insensitive) update it instead of
+ * creating a new one; later rows repeating a key already seen in the file
+ * are skipped. Creates are inserted `chunk_size` rows at a time; a chunk the
+ * database rejects is retried row by row so every failure names its row.
+ *
+ * Rows are numbered from 1 in the order they appear, not counting the CSV
+ * header.
+ */
+
+export const MAX_IMPORT_ROWS = 10000;
+
+const DEFAULT_CHUNK = 100;
+const LOOKUP_CHUNK = 100;
+// Longest list of updates and errors in a report
+const REPORT_LIMIT = 200;
+
+// Which dedupe keys each entity supports; the first is the default
+const DEDUPE_KEYS = { contact: ["email"], company: ["name"], lead: ["email"] };
+
+const MERGE_TOOLS = { contact: "crm_merge_contacts", company: "crm_merge_companies" };
+
+/**
+ * Parse CSV text into rows of fields. The delimiter (comma, semicolon or tab)
+ * is whichever occurs most in the first line. Handles quoted fields with
+ * embedded delimiters, newlines and doubled quotes.
+ * @returns {string[][]}
+ */
+export function parseCsvTable(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const delimiter = [",", ";", "\t"]
+    .map(d => [d, firstLine.split(d).length])
+    .reduce((best, next) => (next[1] > best[1] ? next : best))[0];
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c !== "\"") field += c;
+      else if (src[i + 1] === "\"") { field += "\""; i++; }
+      else quoted = false;
+    } else if (c === "\"" && field === "") {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new Error("CSV ends inside a quoted field.");
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(v => v.trim() !== ""));
+}
+
+/**
+ * Records from CSV (first row is the header) or JSON (an array of objects,
+ * or an object holding one such array). Without `format`, text starting with
+ * `[` or `{` is read as JSON.
+ * @returns {{ columns: string[], records: { row: number, values: Object, problem?: string }[] }}
+ */
+export function parseImportData(text, format) {
+  const kind = format || (/^\s*[[{]/.test(text) ? "json" : "csv");
+
+  if (kind === "json") {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Invalid JSON: ${e.message}`);
+    }
+    if (!Array.isArray(parsed)) {
+      const arrays = parsed && typeof parsed === "object" ? Object.values(parsed).filter(Array.isArray) : [];
+      if (arrays.length !== 1) throw new Error("JSON must be an array of objects, or an object holding one such array.");
+      parsed = arrays[0];
+    }
+    const columns = [];
+    const records = parsed.map((item, i) => {
+      if (!item || typeof item !== "object" || Array.isArray(item)) return { row: i + 1, values: {}, problem: "not an object" };
+      for (const key of Object.keys(item)) if (!columns.includes(key)) columns.push(key);
+      return { row: i + 1, values: item };
+    });
+    return { columns, records };
+  }
+
+  const [header, ...rows] = parseCsvTable(text);
+  if (!header) throw new Error("The CSV is empty.");
+  const columns = header.map(h => h.trim());
+  const repeated = columns.find((c, i) => columns.indexOf(c) !== i);
+  if (repeated !== undefined) throw new Error(`Column "${repeated}" appears twice in the CSV header.`);
+  const records = rows.map((fields, i) => {
+    const values = Object.fromEntries(columns.map((c, j) => [c, fields[j]]));
+    const extra = fields.slice(columns.length).filter(f => f.trim() !== "");
+    return extra.length
+      ? { row: i + 1, values, problem: `has ${fields.length} fields, the header has ${columns.length}` }
+      : { row: i + 1, values };
+  });
+  return { columns, records };
+}
+
+// "First Name", "first-name" and "first_name" all name the field first_name
+const columnKey = (name) => foldText(name).replace(/[^a-z0-9]/g, "");
+
+/**
+ * Field -> source column. Explicit `mapping` entries win; other fields are
+ * read from a column with the same name, ignoring case, spaces and dashes.
+ */
+export function resolveMapping(entity, columns, mapping = {}) {
+  const fields = Object.keys(CREATE_FIELDS[entity]);
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!fields.includes(field)) throw new Error(`Unknown ${entity} field "${field}" in mapping. Fields: ${fields.join(", ")}.`);
+    if (!columns.includes(column)) throw new Error(`Mapping ${field} -> "${column}": no such column. Columns: ${columns.join(", ")}.`);
+  }
+  const byKey = new Map(columns.map(c => [columnKey(c), c]));
+  const resolved = {};
+  for (const field of fields) {
+    const column = mapping[field] ?? byKey.get(columnKey(field));
+    if (column !== undefined) resolved[field] = column;
+  }
+  if (!Object.keys(resolved).length) {
+    throw new Error(`No column maps to a ${entity} field (${fields.join(", ")}). Columns: ${columns.join(", ")}. Pass a mapping.`);
+  }
+  return resolved;
+}
+
+// Trimmed strings; numbers and booleans as text; empty values left out
+function cell(value) {
+  if (value == null) return undefined;
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  if (typeof value === "string") return value.trim() || undefined;
+  return value;
+}
+
+const dedupeValue = (value) => (typeof value === "string" ? value.trim().toLowerCase() : "");
+
+// Existing rows whose `column` matches one of `keys` case-insensitively, by key
+async function findExisting(supabase, table, column, keys) {
+  const found = new Map();
+  for (let i = 0; i < keys.length; i += LOOKUP_CHUNK) {
+    const chunk = keys.slice(i, i + LOOKUP_CHUNK);
+    const { data, error } = await supabase
+      .from(table)
+      .select("*")
+      .or(chunk.map(k => ilikeExact(column, k)).join(","));
+    if (error) friendlySupabaseError(table, error);
+    for (const row of data || []) {
+      const key = dedupeValue(row[column]);
+      if (!found.has(key)) found.set(key, []);
+      found.get(key).push(row);
+    }
+  }
+  return found;
+}
+
+/**
+ * What to do with every record: create, update, unchanged, invalid or
+ * duplicate (of an earlier row with the same key).
+ */
+async function planImport(supabase, entity, records, fieldColumns, dedupeKey) {
+  const schema = z.object(CREATE_FIELDS[entity]);
+  const seen = new Map();
+  const plan = records.map(({ row, values: raw, problem }) => {
+    if (problem) return { row, action: "invalid", message: problem };
+    const values = {};
+    for (const [field, column] of Object.entries(fieldColumns)) {
+      const value = cell(raw[column]);
+      if (value !== undefined) values[field] = value;
+    }
+    const parsed = schema.safeParse(values);
+    if (!parsed.success) {
+      return { row, action: "invalid", message: parsed.error.issues.map(i => `${i.path.join(".") || "row"}: ${i.message}`).join("; ") };
+    }
+    const key = dedupeKey ? dedupeValue(parsed.data[dedupeKey]) : "";
+    if (key && seen.has(key)) return { row, action: "duplicate", key, message: `same ${dedupeKey} as row ${seen.get(key)}` };
+    if (key) seen.set(key, row);
+    return { row, action: "create", key, values: parsed.data };
+  });
+
+  if (!dedupeKey || !seen.size) return plan;
+  const table = ENTITY_TABLES[entity];
+  const existing = await findExisting(supabase, table, dedupeKey, [...seen.keys()]);
+  for (const item of plan) {
+    const matches = item.action === "create" && item.key ? existing.get(item.key) : null;
+    if (!matches) continue;
+    if (matches.length > 1) {
+      const merge = MERGE_TOOLS[entity] ? `; merge them first with ${MERGE_TOOLS[entity]}` : "";
+      Object.assign(item, { action: "invalid", message: `${dedupeKey} matches ${matches.length} existing ${table} (${matches.map(m => m.id).join(", ")})${merge}` });
+      continue;
+    }
+    // The key matched case-insensitively; keep the record's own spelling of it
+    const [match] = matches;
+    const patch = Object.fromEntries(Object.entries(omit(item.values, dedupeKey))
+      .filter(([field, value]) => String(match[field] ?? "") !== value));
+    Object.assign(item, { action: Object.keys(patch).length ? "update" : "unchanged", existing: match, patch });
+  }
+  return plan;
+}
+
+function errorMessage(table, error) {
+  try {
+    friendlySupabaseError(table, error);
+  } catch (e) {
+    return e.message;
+  }
+}
+
+// Full row for insert: every mapped field present (null when empty), plus defaults
+function insertValues(entity, fields, values) {
+  const row = Object.fromEntries(fields.map(f => [f, values[f] ?? null]));
+  if (entity === "lead") {
+    row.source ??= "import";
+    row.status ??= "new";
+  }
+  return row;
+}
+
+async function insertChunk(supabase, table, items, rows) {
+  const { data, error } = await supabase.from(table).insert(rows).select();
+  if (!error) return data.map((row, i) => ({ item: items[i], row }));
+
+  // Find the offending rows one at a time
+  const results = [];
+  for (const [i, item] of items.entries()) {
+    const { data, error } = await supabase.from(table).insert([rows[i]]).select().single();
+    results.push(error ? { item, error: errorMessage(table, error) } : { item, row: data });
+  }
+  return results;
+}
+
+/**
+ * Parse, validate and (unless dryRun) write an import.
+ * @param {Object} supabase - The Supabase client instance
+ * @param {Object} audit - Audit recorder (see lib/audit.js)
+ * @param {Object} options
+ * @param {"contact"|"company"|"lead"} options.entity_type
+ * @param {string} options.data - CSV or JSON text
+ * @param {"csv"|"json"} [options.format] - Detected from the text when omitted
+ * @param {Object<string, string>} [options.mapping] - Field -> source column
+ * @param {"email"|"name"|"none"} [options.dedupe_key] - Default: email for contacts and leads, name for companies
+ * @param {boolean} [options.dry_run]
+ * @param {number} [options.chunk_size] - Rows per insert
+ * @returns {Promise<Object>} The import report
+ */
+export async function importRecords(supabase, audit, options) {
+  const { entity_type: entity, data, format, mapping, dry_run = false, chunk_size = DEFAULT_CHUNK } = options;
+  const table = ENTITY_TABLES[entity];
+  const dedupe = options.dedupe_key ?? DEDUPE_KEYS[entity][0];
+  if (dedupe !== "none" && !DEDUPE_KEYS[entity].includes(dedupe)) {
+    throw new Error(`${entity} imports can dedupe by ${DEDUPE_KEYS[entity].join(" or ")} (or none), not ${dedupe}.`);
+  }
+  const dedupeKey = dedupe === "none" ? null : dedupe;
+
+  const { columns, records } = parseImportData(data, format);
+  if (!records.length) throw new Error("No rows to import.");
+  if (records.length > MAX_IMPORT_ROWS) throw new Error(`${records.length} rows; import at most ${MAX_IMPORT_ROWS} at a time.`);
+  const fieldColumns = resolveMapping(entity, columns, mapping);
+  const mapped = Object.values(fieldColumns);
+
+  const plan = await planImport(supabase, entity, records, fieldColumns, dedupeKey);
+  const counts = { create: 0, update: 0, unchanged: 0, invalid: 0, duplicate: 0, failed: 0 };
+  const errors = [];
+  const updates = [];
+
+  if (!dry_run) {
+    const fields = Object.keys(fieldColumns);
+    const creates = plan.filter(p => p.action === "create");
+    for (let i = 0; i < creates.length; i += chunk_size) {
+      const chunk = creates.slice(i, i + chunk_size);
+      for (const { item, row, error } of await insertChunk(supabase, table, chunk, chunk.map(c => insertValues(entity, fields, c.values)))) {
+        if (error) Object.assign(item, { action: "failed", message: error });
+        else {
+          item.id = row.id;
+          await audit.record(table, row.id, null, row);
+        }
+      }
+    }
+    for (const item of plan.filter(p => p.action === "update")) {
+      const { data: row, error } = await supabase.from(table).update(item.patch).eq("id", item.existing.id).select().single();
+      if (error) Object.assign(item, { action: "failed", message: errorMessage(table, error) });
+      else await audit.record(table, row.id, item.existing, row);
+    }
+  }
+
+  for (const item of plan) {
+    counts[item.action]++;
+    if (item.action === "update") updates.push({ row: item.row, id: item.existing.id, [dedupeKey]: item.existing[dedupeKey], changes: item.patch });
+    if (item.message) errors.push({ row: item.row, status: item.action, message: item.message });
+  }
+
+  return {
+    entity_type: entity,
+    dry_run,
+    rows: records.length,
+    dedupe_key: dedupe,
+    mapping: fieldColumns,
+    ignored_columns: columns.filter(c => !mapped.includes(c)),
+    // With dry_run, create and update are what would happen
+    summary: counts,
+    updates: updates.slice(0, REPORT_LIMIT),
+    errors: errors.slice(0, REPORT_LIMIT),
+    ...(updates.length > REPORT_LIMIT || errors.length > REPORT_LIMIT ? { truncated: true } : {})
+  };
+}
+
+/**
+ * One-line summary of an import report.
+ */
+export function describeImport(report) {
+  const { summary, dry_run } = report;
+  const parts = [`${summary.create} ${dry_run ? "would be created" : "created"}`, `${summary.update} ${dry_run ? "would be updated" : "updated"}`];
+  for (const key of ["unchanged", "invalid", "duplicate", "failed"]) if (summary[key]) parts.push(`${summary[key]} ${key}`);
+  return `${dry_run ? "Dry run: " : ""}${report.rows} ${report.entity_type} rows: ${parts.join(", ")}.`;
+}
+
+/**
+ * Register crm_import_records.
+ * @param {Object} server - MCP server (or the wrapped facade from registerCrmTools)
+ * @param {Object} supabase - The Supabase client instance
+ */
+export function registerImportTools(server, supabase) {
+  server.registerTool(
+    "crm_import_records",
+    {
+      title: "Import records",
+      description: "Bulk-create or update contacts, companies or leads from CSV (header row; comma, semicolon or tab separated) or JSON (array of objects). mapping maps fields to source columns, e.g. {\"first_name\": \"Vorname\"}; columns named like a field are used without one. Rows are validated like crm_create_contact, crm_upsert_company and crm_create_lead. dedupe_key (email for contacts and leads, name for companies, or none) finds existing records, which are updated instead of duplicated. Run with dry_run first to see what would be created, updated or rejected.",
+      inputSchema: {
+        entity_type: z.enum(["contact", "company", "lead"]),
+        data: z.string().min(1).max(5_000_000),
+        format: z.enum(["csv", "json"]).optional(),
+        mapping: z.record(z.string()).optional(),
+        dedupe_key: z.enum(["email", "name", "none"]).optional(),
+        dry_run: z.boolean().optional(),
+        chunk_size: z.number().int().min(1).max(500).optional()
+      }
+    },
+    async (args, { audit }) => {
+      // Every created row gets an audit entry; don't copy the whole file into each
+      const report = await importRecords(supabase, audit.withArgs(omit(args, "data")), args);
+      return ok(describeImport(report), report);
+    }
+  );
+}
@@ -0,0 +1,193 @@
+import { z } from "zod";
+import {
+  ok,
+  friendlySupabaseError,
+  smartInsertNote,
+  likeEscape,
+  isMissingColumn,
+  isMissingRelation
+} from "./crm-helpers.js";
+
+/**
+ * crm_convert_lead: turn a qualified lead into a company, a contact and
+ * optionally a deal, copy its notes to the contact and mark it converted.
+ *
+ * PostgREST has no multi-statement transactions, so every created row is
+ * remembered and deleted again (newest first) when a later step fails.
+ * Audit entries are only written once the whole conversion succeeded.
+ */
+
+const noteText = (note) => note.body ?? note.content ?? "";
+
+async function validateStage(supabase, pipeline_id, stage_id) {
+  if (!stage_id) return pipeline_id ?? null;
+  const { data: stage, error } = await supabase
+    .from("pipeline_stages")
+    .select("id, pipeline_id")
+    .eq("id", stage_id)
+    .maybeSingle();
+  if (error) friendlySupabaseError("pipeline_stages", error);
+  if (!stage) throw new Error(`No pipeline stage with id ${stage_id}.`);
+  if (pipeline_id && stage.pipeline_id && stage.pipeline_id !== pipeline_id) {
+    throw new Error(`Stage ${stage_id} belongs to pipeline ${stage.pipeline_id}, not ${pipeline_id}.`);
+  }
+  return pipeline_id ?? stage.pipeline_id ?? null;
+}
+
+/**
+ * Register crm_convert_lead.
+ * @param {Object} server - MCP server (or the wrapped facade from registerCrmTools)
+ * @param {Object} supabase - The Supabase client instance
+ */
+export function registerLeadConversionTools(server, supabase) {
+  server.registerTool(
+    "crm_convert_lead",
+    {
+      title: "Convert lead",
+      description: "Convert a lead into a company (matched by name or created), a contact and optionally a deal. Copies the lead's notes to the contact and marks the lead converted. Everything created is removed again if a step fails.",
+      inputSchema: {
+        lead_id: z.string().uuid(),
+        company_id: z.string().uuid().optional(),
+        company_name: z.string().min(1).optional(),
+        create_deal: z.boolean().optional(),
+        deal_title: z.string().min(1).optional(),
+        deal_amount: z.number().optional(),
+        pipeline_id: z.string().uuid().optional(),
+        stage_id: z.string().uuid().optional(),
+        copy_notes: z.boolean().optional()
+      }
+    },
+    async ({ lead_id, company_id, company_name, create_deal = false, deal_title, deal_amount, pipeline_id, stage_id, copy_notes = true }, { audit }) => {
+      const { data: lead, error: leadError } = await supabase.from("leads").select("*").eq("id", lead_id).maybeSingle();
+      if (leadError) friendlySupabaseError("leads", leadError);
+      if (!lead) throw new Error(`No lead with id ${lead_id}.`);
+      if (lead.status === "converted" || lead.converted_contact_id) {
+        throw new Error(`Lead ${lead_id} is already converted${lead.converted_contact_id ? ` (contact ${lead.converted_contact_id})` : ""}.`);
+      }
+
+      // Validate inputs before writing anything
+      const dealPipelineId = create_deal ? await validateStage(supabase, pipeline_id, stage_id) : null;
+      const orgName = (company_name || lead.company || "").trim();
+
+      const created = []; // { table, row }, in creation order
+      const insert = async (table, values) => {
+        const { data, error } = await supabase.from(table).insert([values]).select().single();
+        if (error) friendlySupabaseError(table, error);
+        created.push({ table, row: data });
+        return data;
+      };
+
+      try {
+        // 1) Company: given id, existing by name, or new
+        let company = null;
+        if (company_id) {
+          const { data, error } = await supabase.from("companies").select("*").eq("id", company_id).maybeSingle();
+          if (error) friendlySupabaseError("companies", error);
+          if (!data) throw new Error(`No company with id ${company_id}.`);
+          company = data;
+        } else if (orgName) {
+          const { data, error } = await supabase
+            .from("companies")
+            .select("*")
+            .ilike("name", likeEscape(orgName))
+            .limit(1);
+          if (error) friendlySupabaseError("companies", error);
+          company = data?.[0] ?? await insert("companies", { name: orgName });
+        }
+
+        // 2) Contact
+        const contact = await insert("contacts", {
+          first_name: lead.first_name,
+          last_name: lead.last_name,
+          email: lead.email ?? null,
+          phone: lead.phone ?? null,
+          company_id: company?.id ?? null
+        });
+
+        // 3) Deal, with the contact as contact person (and in deal_contacts when present)
+        let deal = null;
+        if (create_deal) {
+          deal = await insert("deals", {
+            title: deal_title || `${company?.name || `${lead.first_name} ${lead.last_name}`} (from lead)`,
+            ...(deal_amount !== undefined ? { amount: deal_amount } : {}),
+            ...(dealPipelineId ? { pipeline_id: dealPipelineId } : {}),
+            ...(stage_id ? { stage_id } : {}),
+            company_id: company?.id ?? null,
+            contact_person_id: contact.id
+          });
+          const { data: link, error } = await supabase
+            .from("deal_contacts")
+            .insert([{ deal_id: deal.id, contact_id: contact.id, is_main_contact: true }])
+            .select()
+            .maybeSingle();
+          if (error && !isMissingRelation(error, "deal_contacts")) friendlySupabaseError("deal_contacts", error);
+          if (link) created.push({ table: "deal_contacts", row: link });
+        }
+
+        // 4) Copy lead notes onto the contact
+        if (copy_notes) {
+          const { data: notes, error } = await supabase.from("lead_notes").select("*").eq("lead_id", lead_id);
+          if (error && !isMissingRelation(error, "lead_notes")) friendlySupabaseError("lead_notes", error);
+          for (const note of notes || []) {
+            const row = await smartInsertNote(supabase, "contact_notes", {
+              contact_id: contact.id,
+              body: noteText(note),
+              author: note.author ?? note.created_by ?? "mcp",
+              type: note.type ?? "note",
+              activity_date: note.activity_date ?? note.created_at ?? new Date().toISOString(),
+              ...(company ? { company_id: company.id } : {})
+            });
+            created.push({ table: "contact_notes", row });
+          }
+        }
+
+        // 5) Mark the lead converted; older schemas only get the status
+        const links = {
+          converted_at: new Date().toISOString(),
+          converted_company_id: company?.id ?? null,
+          converted_contact_id: contact.id,
+          converted_deal_id: deal?.id ?? null
+        };
+        let { data: convertedLead, error: updateError } = await supabase
+          .from("leads")
+          .update({ status: "converted", ...links })
+          .eq("id", lead_id)
+          .select()
+          .single();
+        if (updateError && isMissingColumn(updateError, "converted_")) {
+          ({ data: convertedLead, error: updateError } = await supabase
+            .from("leads")
+            .update({ status: "converted" })
+            .eq("id", lead_id)
+            .select()
+            .single());
+        }
+        if (updateError) friendlySupabaseError("leads", updateError);
+
+        for (const { table, row } of created) await audit.record(table, row.id, null, row);
+        await audit.record("leads", lead_id, lead, convertedLead);
+
+        const copied = created.filter(c => c.table === "contact_notes").length;
+        return ok(
+          `Converted lead ${lead_id} into contact ${contact.id}` +
+          (company ? `, company ${company.id}` : "") +
+          (deal ? `, deal ${deal.id}` : "") +
+          ` (${copied} notes copied).`,
+          { lead: convertedLead, company, contact, deal }
+        );
+      } catch (error) {
+        const failures = [];
+        for (const { table, row } of created.reverse()) {
+          const del = row.id
+            ? await supabase.from(table).delete().eq("id", row.id)
+            : await supabase.from(table).delete().eq("deal_id", row.deal_id).eq("contact_id", row.contact_id);
+          if (del.error) failures.push(`${table}: ${del.error.message}`);
+        }
+        throw new Error(
+          `Lead conversion failed and was rolled back: ${error.message}` +
+          (failures.length ? ` Rollback incomplete, remove manually: ${failures.join("; ")}` : "")
+        );
+      }
+    }
+  );
+}
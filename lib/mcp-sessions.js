@@ -0,0 +1,75 @@
+/**
+ * In-memory session bookkeeping for the Streamable HTTP endpoint.
+ *
+ * Sessions live only as long as the process that created them. On serverless
+ * platforms with several instances, route requests for one session to the
+ * same instance or run the endpoint stateless (MCP_STATELESS=1).
+ */
+
+/**
+ * EventStore for SSE resumability: clients reconnecting with Last-Event-ID
+ * get every message stored after that event on the same stream.
+ * Oldest events are dropped once maxEvents is reached.
+ */
+export class InMemoryEventStore {
+  constructor({ maxEvents = 1000 } = {}) {
+    this.maxEvents = maxEvents;
+    this.events = new Map(); // eventId -> { streamId, message }
+    this.counter = 0;
+  }
+
+  async storeEvent(streamId, message) {
+    const eventId = `${streamId}_${++this.counter}`;
+    this.events.set(eventId, { streamId, message });
+    if (this.events.size > this.maxEvents) {
+      this.events.delete(this.events.keys().next().value);
+    }
+    return eventId;
+  }
+
+  async replayEventsAfter(lastEventId, { send }) {
+    const last = this.events.get(lastEventId);
+    if (!last) return "";
+
+    let found = false;
+    for (const [eventId, { streamId, message }] of this.events) {
+      if (eventId === lastEventId) { found = true; continue; }
+      if (found && streamId === last.streamId) await send(eventId, message);
+    }
+    return last.streamId;
+  }
+}
+
+/**
+ * Registry of live sessions keyed by Mcp-Session-Id.
+ * Sessions idle for longer than ttlMs are closed on the next sweep.
+ */
+export class SessionRegistry {
+  constructor({ ttlMs = 30 * 60 * 1000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.sessions = new Map(); // sessionId -> { server, transport, owner, lastSeen }
+  }
+
+  add(sessionId, session) {
+    this.sessions.set(sessionId, { ...session, lastSeen: Date.now() });
+  }
+
+  get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) session.lastSeen = Date.now();
+    return session;
+  }
+
+  delete(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  sweep() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [sessionId, session] of this.sessions) {
+      if (session.lastSeen >= cutoff) continue;
+      this.sessions.delete(sessionId);
+      session.server.close().catch((e) => console.error(`Failed to close MCP session ${sessionId}:`, e));
+    }
+  }
+}
@@ -0,0 +1,366 @@
+import { z } from "zod";
+import {
+  ok,
+  friendlySupabaseError,
+  getCompanyIdFrom,
+  likeEscape,
+  ENTITY_TABLES,
+  NOTE_TABLES,
+  isAbsent,
+  isMissingColumn,
+  isMissingRelation
+} from "./crm-helpers.js";
+
+/**
+ * Reading, correcting and deleting notes in contact_notes, company_notes,
+ * deal_notes and lead_notes.
+ *
+ * Notes are written by smartInsertNote, which adapts to the schema, so a
+ * row may carry `body` or `content`, `author` or `created_by`, and
+ * `activity_date` or only `created_at`. normalizeNote maps every variant to
+ * one shape; edits are written back to whichever of the columns the row has.
+ */
+
+const ID_CHUNK = 200;
+
+/**
+ * One note in the shape every note tool returns.
+ * @param {string} entity - contact, company, deal or lead
+ * @param {Object} row - raw row from that entity's notes table
+ */
+export function normalizeNote(entity, row) {
+  const { table, column } = NOTE_TABLES[entity];
+  return {
+    id: row.id,
+    table,
+    entity_type: entity,
+    entity_id: row[column] ?? null,
+    type: row.type ?? null,
+    author: row.author ?? row.created_by ?? null,
+    body: row.body ?? row.content ?? null,
+    date: row.activity_date ?? row.created_at ?? null,
+    created_at: row.created_at ?? null
+  };
+}
+
+// Something to call a record by in a timeline
+const label = (row) => row.name ?? row.title ??
+  ([row.first_name, row.last_name].filter(Boolean).join(" ") || row.email || row.id);
+
+async function rowsWhere(supabase, table, column, value, select = "*") {
+  const { data, error } = await supabase.from(table).select(select).eq(column, value);
+  if (error) {
+    if (isAbsent(error, { table, column })) return [];
+    friendlySupabaseError(table, error);
+  }
+  return data || [];
+}
+
+/**
+ * The record and the records whose notes belong on its timeline:
+ * a company's contacts, deals and leads; a contact's deals (as contact person
+ * or via deal_contacts) and the leads converted into it; a deal's contacts;
+ * and whatever a lead was converted into.
+ * @returns {Promise<Object>} entity type -> Map(id -> label)
+ */
+async function timelineScope(supabase, entity, record, includeRelated) {
+  const scope = { contact: new Map(), company: new Map(), deal: new Map(), lead: new Map() };
+  scope[entity].set(record.id, label(record));
+  if (!includeRelated) return scope;
+
+  const add = (type, rows) => { for (const r of rows) if (r?.id && !scope[type].has(r.id)) scope[type].set(r.id, label(r)); };
+  const byIds = async (type, ids) => {
+    const wanted = [...new Set(ids.filter(Boolean))];
+    if (!wanted.length) return;
+    const { data, error } = await supabase.from(ENTITY_TABLES[type]).select("*").in("id", wanted);
+    if (error) friendlySupabaseError(ENTITY_TABLES[type], error);
+    add(type, data || []);
+  };
+
+  if (entity === "company") {
+    add("contact", await rowsWhere(supabase, "contacts", "company_id", record.id));
+    add("deal", await rowsWhere(supabase, "deals", "company_id", record.id));
+    add("lead", await rowsWhere(supabase, "leads", "company_id", record.id));
+  } else if (entity === "contact") {
+    add("deal", await rowsWhere(supabase, "deals", "contact_person_id", record.id));
+    await byIds("deal", (await rowsWhere(supabase, "deal_contacts", "contact_id", record.id)).map(l => l.deal_id));
+    add("lead", await rowsWhere(supabase, "leads", "converted_contact_id", record.id));
+  } else if (entity === "deal") {
+    const links = await rowsWhere(supabase, "deal_contacts", "deal_id", record.id);
+    await byIds("contact", [record.contact_person_id, ...links.map(l => l.contact_id)]);
+  } else if (entity === "lead") {
+    await byIds("company", [record.converted_company_id]);
+    await byIds("contact", [record.converted_contact_id]);
+    await byIds("deal", [record.converted_deal_id]);
+  }
+  return scope;
+}
+
+// Columns to order and filter notes by, best first. noted_at is
+// coalesce(activity_date, created_at) (supabase/migrations/*_note_noted_at.sql);
+// without it, notes with no activity_date sort last and fall outside date ranges
+const DATE_COLUMNS = ["noted_at", "activity_date", "created_at"];
+
+/**
+ * One page of an entity type's notes, newest first (oldest first with
+ * `ascending`), filtered in the database. `entity_id` or `entity_ids` limit
+ * it to some records. Dates come from the first of DATE_COLUMNS the table
+ * has; the author from created_by when there is no author column.
+ * @returns {Promise<{ notes: Object[], total: number }>}
+ */
+async function listNotes(supabase, entity, { entity_id, entity_ids, type, author, since, until, from, to, ascending = false }) {
+  const { table, column } = NOTE_TABLES[entity];
+  let dateColumn = DATE_COLUMNS[0];
+  let authorColumn = "author";
+
+  for (let attempt = 0; attempt < 7; attempt++) {
+    let q = supabase.from(table).select("*", { count: "exact" });
+    if (entity_id) q = q.eq(column, entity_id);
+    if (entity_ids) q = q.in(column, entity_ids);
+    if (type) q = q.ilike("type", likeEscape(type));
+    if (author) {
+      if (!authorColumn) return { notes: [], total: 0 };
+      q = q.ilike(authorColumn, `%${likeEscape(author)}%`);
+    }
+    // Without a date column no note falls in the range
+    if ((since || until) && !dateColumn) return { notes: [], total: 0 };
+    if (since) q = q.gte(dateColumn, since);
+    if (until) q = q.lte(dateColumn, until);
+    if (dateColumn) q = q.order(dateColumn, { ascending, nullsFirst: false });
+    const { data, count, error } = await q.order("id", { ascending: true }).range(from, to);
+
+    if (!error) return { notes: (data || []).map(row => normalizeNote(entity, row)), total: count ?? data?.length ?? 0 };
+    if (isMissingRelation(error, table) || (entity_ids && isMissingColumn(error, column))) return { notes: [], total: 0 };
+    if (dateColumn && isMissingColumn(error, dateColumn)) { dateColumn = DATE_COLUMNS[DATE_COLUMNS.indexOf(dateColumn) + 1] ?? null; continue; }
+    if (authorColumn && isMissingColumn(error, authorColumn)) { authorColumn = authorColumn === "author" ? "created_by" : null; continue; }
+    // Without a type column no note has the requested type
+    if (type && isMissingColumn(error, "type")) return { notes: [], total: 0 };
+    friendlySupabaseError(table, error);
+  }
+  throw new Error(`Failed to list ${table} after multiple attempts.`);
+}
+
+async function fetchNote(supabase, entity, noteId) {
+  const { table } = NOTE_TABLES[entity];
+  const { data, error } = await supabase.from(table).select("*").eq("id", noteId).maybeSingle();
+  if (error) friendlySupabaseError(table, error);
+  if (!data) throw new Error(`No note ${noteId} in ${table}.`);
+  return data;
+}
+
+// First of `columns` the row has
+const columnOf = (row, ...columns) => columns.find(c => c in row);
+
+const MODIFIED_COLUMNS = ["updated_at", "modified_at", "edited_at"];
+
+const time = (note) => {
+  const t = note.date ? Date.parse(note.date) : NaN;
+  return Number.isNaN(t) ? null : t;
+};
+
+/**
+ * Register crm_get_timeline, crm_list_notes, crm_update_note and crm_delete_note.
+ * @param {Object} server - MCP server (or the wrapped facade from registerCrmTools)
+ * @param {Object} supabase - The Supabase client instance
+ */
+export function registerNoteTools(server, supabase) {
+  server.registerTool(
+    "crm_get_timeline",
+    {
+      title: "Get activity timeline",
+      description: "Notes of a contact, company, deal or lead merged into one timeline, including notes on related records (a company's contacts, deals and leads; a contact's deals; a deal's contacts) unless include_related is false. Sorted by activity date, else creation date, newest first by default. Filter by note type, author (substring) and date range; page with limit/offset. Without the noted_at migration, notes with no activity date come last and date ranges leave them out.",
+      annotations: { readOnlyHint: true },
+      inputSchema: {
+        entity_type: z.enum(["contact", "company", "deal", "lead"]),
+        entity_id: z.string().uuid(),
+        include_related: z.boolean().optional(),
+        type: z.string().min(1).optional(),
+        author: z.string().min(1).optional(),
+        since: z.string().datetime({ offset: true }).optional(),
+        until: z.string().datetime({ offset: true }).optional(),
+        order: z.enum(["desc", "asc"]).optional(),
+        limit: z.number().int().min(1).max(100).optional(),
+        offset: z.number().int().min(0).optional()
+      }
+    },
+    async (args, extra) => {
+      const { entity_type, entity_id, include_related = true, type, author, since, until, order = "desc", limit = 25, offset = 0 } = args;
+      const table = ENTITY_TABLES[entity_type];
+      const { data: record, error } = await supabase.from(table).select("*").eq("id", entity_id).maybeSingle();
+      if (error) friendlySupabaseError(table, error);
+      if (!record) throw new Error(`No ${entity_type} with id ${entity_id}.`);
+
+      const scope = await timelineScope(supabase, entity_type, record, include_related);
+      // Each table is filtered, sorted and cut to offset + limit in the database, then merged
+      const filters = { type, author, since, until, from: 0, to: offset + limit - 1, ascending: order === "asc" };
+      const hidden = [];
+      let total = 0;
+      const notes = [];
+      for (const [entity, ids] of Object.entries(scope)) {
+        if (!ids.size) continue;
+        if (extra?.entities && !extra.entities.includes(entity)) {
+          hidden.push(entity);
+          continue;
+        }
+        const all = [...ids.keys()];
+        for (let i = 0; i < all.length; i += ID_CHUNK) {
+          const found = await listNotes(supabase, entity, { ...filters, entity_ids: all.slice(i, i + ID_CHUNK) });
+          total += found.total;
+          notes.push(...found.notes.map(n => ({ ...n, about: ids.get(n.entity_id) ?? null })));
+        }
+      }
+
+      // Undated notes go last either way
+      const sign = order === "asc" ? 1 : -1;
+      notes.sort((a, b) => {
+        const ta = time(a), tb = time(b);
+        if (ta == null || tb == null) return ta == null ? (tb == null ? 0 : 1) : -1;
+        return (ta - tb) * sign;
+      });
+
+      const page = notes.slice(offset, offset + limit);
+      const nextOffset = offset + page.length < total ? offset + page.length : null;
+      return ok(`Timeline of ${entity_type} ${entity_id}: ${total} notes, showing ${page.length} from ${offset}.`, {
+        total,
+        offset,
+        limit,
+        next_offset: nextOffset,
+        ...(hidden.length ? { hidden_entities: hidden } : {}),
+        items: page
+      });
+    }
+  );
+
+  server.registerTool(
+    "crm_list_notes",
+    {
+      title: "List notes",
+      description: "List notes, newest first: of one record (entity_type + entity_id), of one entity type, or of all four note tables, by activity date, else creation date. Filter by type, author (substring) and date range; page with limit/offset. Without the noted_at migration, notes with no activity date come last and date ranges leave them out.",
+      annotations: { readOnlyHint: true },
+      inputSchema: {
+        entity_type: z.enum(["contact", "company", "deal", "lead"]).optional(),
+        entity_id: z.string().uuid().optional(),
+        type: z.string().min(1).optional(),
+        author: z.string().min(1).optional(),
+        since: z.string().datetime({ offset: true }).optional(),
+        until: z.string().datetime({ offset: true }).optional(),
+        limit: z.number().int().min(1).max(100).optional(),
+        offset: z.number().int().min(0).optional()
+      }
+    },
+    async ({ entity_type, entity_id, type, author, since, until, limit = 25, offset = 0 }, extra) => {
+      if (entity_id && !entity_type) throw new Error("entity_id needs entity_type as well.");
+      const filters = { entity_id, type, author, since, until };
+
+      if (entity_type) {
+        const { notes, total } = await listNotes(supabase, entity_type, { ...filters, from: offset, to: offset + limit - 1 });
+        return ok(`Found ${total} notes, showing ${notes.length} from ${offset}.`, { total, offset, limit, items: notes });
+      }
+
+      // Across tables: take the first offset + limit of each, then merge
+      const hidden = [];
+      let total = 0;
+      let notes = [];
+      for (const entity of Object.keys(NOTE_TABLES)) {
+        if (extra?.entities && !extra.entities.includes(entity)) {
+          hidden.push(entity);
+          continue;
+        }
+        const page = await listNotes(supabase, entity, { ...filters, from: 0, to: offset + limit - 1 });
+        total += page.total;
+        notes.push(...page.notes);
+      }
+      notes.sort((a, b) => (time(b) ?? -Infinity) - (time(a) ?? -Infinity));
+      notes = notes.slice(offset, offset + limit);
+      return ok(`Found ${total} notes, showing ${notes.length} from ${offset}.`, {
+        total,
+        offset,
+        limit,
+        ...(hidden.length ? { hidden_entities: hidden } : {}),
+        items: notes
+      });
+    }
+  );
+
+  server.registerTool(
+    "crm_update_note",
+    {
+      title: "Update note",
+      description: "Correct a note: change its text, type, author or activity date, or move it to another record of the same type (move_to_id). Sets updated_at/modified_at when the notes table has one.",
+      inputSchema: {
+        entity_type: z.enum(["contact", "company", "deal", "lead"]),
+        note_id: z.union([z.string().min(1), z.number().int()]),
+        body: z.string().min(1).optional(),
+        type: z.string().min(1).optional(),
+        author: z.string().min(1).optional(),
+        activity_date: z.string().datetime({ offset: true }).optional(),
+        move_to_id: z.string().uuid().optional()
+      }
+    },
+    async ({ entity_type, note_id, body, type, author, activity_date, move_to_id }, { audit }) => {
+      const { table, column } = NOTE_TABLES[entity_type];
+      const before = await fetchNote(supabase, entity_type, note_id);
+      const patch = {};
+      const ignored = [];
+      const set = (value, name, ...columns) => {
+        if (value === undefined) return;
+        const target = columnOf(before, ...columns);
+        if (target) patch[target] = value;
+        else ignored.push(name);
+      };
+
+      set(body, "body", "body", "content");
+      set(type, "type", "type");
+      set(author, "author", "author", "created_by");
+      set(activity_date, "activity_date", "activity_date", "created_at");
+
+      if (move_to_id && move_to_id !== before[column]) {
+        const owner = ENTITY_TABLES[entity_type];
+        const { data: target, error } = await supabase.from(owner).select("id").eq("id", move_to_id).maybeSingle();
+        if (error) friendlySupabaseError(owner, error);
+        if (!target) throw new Error(`No ${entity_type} with id ${move_to_id}.`);
+        patch[column] = move_to_id;
+        // Keep the denormalized company link in step with the new record
+        if (entity_type !== "company" && "company_id" in before) {
+          patch.company_id = await getCompanyIdFrom(supabase, owner, move_to_id);
+        }
+      }
+
+      if (!Object.keys(patch).length) {
+        throw new Error(ignored.length
+          ? `${table} has no column for ${ignored.join(", ")}; nothing to update.`
+          : "Nothing to update: pass body, type, author, activity_date or move_to_id.");
+      }
+      const modified = columnOf(before, ...MODIFIED_COLUMNS);
+      if (modified) patch[modified] = new Date().toISOString();
+
+      const { data, error } = await supabase.from(table).update(patch).eq("id", note_id).select().single();
+      if (error) friendlySupabaseError(table, error);
+      await audit.record(table, note_id, before, data);
+
+      const skipped = ignored.length ? ` (${table} has no column for ${ignored.join(", ")})` : "";
+      return ok(`Updated note ${note_id} in ${table}${skipped}.`, normalizeNote(entity_type, data));
+    }
+  );
+
+  server.registerTool(
+    "crm_delete_note",
+    {
+      title: "Delete note",
+      description: "Permanently delete one note (entity_type + note_id). The deleted row is kept in the audit log.",
+      annotations: { destructiveHint: true },
+      inputSchema: {
+        entity_type: z.enum(["contact", "company", "deal", "lead"]),
+        note_id: z.union([z.string().min(1), z.number().int()])
+      }
+    },
+    async ({ entity_type, note_id }, { audit }) => {
+      const { table } = NOTE_TABLES[entity_type];
+      const before = await fetchNote(supabase, entity_type, note_id);
+      const { error } = await supabase.from(table).delete().eq("id", note_id);
+      if (error) friendlySupabaseError(table, error);
+      await audit.record(table, note_id, before, null);
+      return ok(`Deleted note ${note_id} from ${table}.`, normalizeNote(entity_type, before));
+    }
+  );
+}
@@ -0,0 +1,146 @@
+import { createRemoteJWKSet, jwtVerify, errors as joseErrors } from "jose";
+import { InsufficientScopeError, InvalidTokenError } from "@modelcontextprotocol/sdk/server/auth/errors.js";
+
+/**
+ * OAuth 2.1 resource-server support for the remote MCP endpoint.
+ *
+ * The endpoint accepts bearer JWTs issued by an external authorization server
+ * (configured through MCP_OAUTH_ISSUER) and advertises that server through
+ * RFC 9728 protected-resource metadata. Tokens are verified locally against
+ * the issuer's JWKS; no introspection round-trip per request.
+ */
+
+const MCP_PATH = "/api/mcp";
+const PRM_PATH = "/.well-known/oauth-protected-resource";
+
+function parseList(value) {
+  if (!value) return [];
+  return value.split(/[\s,]+/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * OAuth settings from the environment, or null when OAuth is not configured.
+ */
+export function getOAuthConfig(env = process.env) {
+  const issuer = env.MCP_OAUTH_ISSUER;
+  if (!issuer) return null;
+  return {
+    issuer,
+    jwksUrl: env.MCP_OAUTH_JWKS_URL || null,
+    audience: env.MCP_OAUTH_AUDIENCE || null,
+    resourceUrl: env.MCP_RESOURCE_URL || null,
+    scopesSupported: parseList(env.MCP_OAUTH_SCOPES),
+    requiredScopes: parseList(env.MCP_OAUTH_REQUIRED_SCOPES)
+  };
+}
+
+/**
+ * Canonical resource identifier of the MCP endpoint (what tokens must be issued for).
+ */
+export function resourceUrlFor(requestUrl, config) {
+  if (config?.resourceUrl) return config.resourceUrl;
+  return new URL(MCP_PATH, requestUrl).href;
+}
+
+/**
+ * Where clients fetch the protected-resource metadata for a resource (RFC 9728 §3.1).
+ */
+export function resourceMetadataUrlFor(resourceUrl) {
+  const url = new URL(resourceUrl);
+  const path = url.pathname === "/" ? "" : url.pathname;
+  return new URL(`${PRM_PATH}${path}`, url.origin).href;
+}
+
+export function protectedResourceMetadata(resourceUrl, config) {
+  return {
+    resource: resourceUrl,
+    authorization_servers: [config.issuer],
+    bearer_methods_supported: ["header"],
+    ...(config.scopesSupported.length ? { scopes_supported: config.scopesSupported } : {}),
+    resource_name: "Medicus CRM MCP"
+  };
+}
+
+// ---- JWKS resolution (cached per process)
+
+const jwksCache = new Map();
+
+async function discoverJwksUrl(issuer) {
+  const base = issuer.replace(/\/$/, "");
+  for (const path of ["/.well-known/oauth-authorization-server", "/.well-known/openid-configuration"]) {
+    try {
+      const res = await fetch(`${base}${path}`, { headers: { accept: "application/json" } });
+      if (!res.ok) continue;
+      const meta = await res.json();
+      if (meta?.jwks_uri) return meta.jwks_uri;
+    } catch {
+      // try the next well-known location
+    }
+  }
+  throw new Error(`Could not discover jwks_uri for issuer ${issuer}. Set MCP_OAUTH_JWKS_URL.`);
+}
+
+async function getJwks(config) {
+  const key = config.jwksUrl || config.issuer;
+  if (!jwksCache.has(key)) {
+    const pending = (async () => createRemoteJWKSet(new URL(config.jwksUrl || await discoverJwksUrl(config.issuer))))();
+    // Don't cache failed discovery; the issuer may just be starting up
+    pending.catch(() => jwksCache.delete(key));
+    jwksCache.set(key, pending);
+  }
+  return jwksCache.get(key);
+}
+
+function scopesFrom(payload) {
+  if (typeof payload.scope === "string") return parseList(payload.scope);
+  if (Array.isArray(payload.scp)) return payload.scp.map(String);
+  return [];
+}
+
+/**
+ * Verify a bearer JWT and turn it into the SDK's AuthInfo shape, which the
+ * transport hands to tool handlers as `extra.authInfo`.
+ * @throws {InvalidTokenError} when the token is malformed, expired or not for this resource
+ * @throws {InsufficientScopeError} when MCP_OAUTH_REQUIRED_SCOPES are missing
+ */
+export async function verifyAccessToken(token, config, resourceUrl) {
+  let payload;
+  try {
+    const jwks = await getJwks(config);
+    ({ payload } = await jwtVerify(token, jwks, {
+      issuer: config.issuer,
+      audience: config.audience || resourceUrl
+    }));
+  } catch (error) {
+    if (error instanceof joseErrors.JWTExpired) throw new InvalidTokenError("Token has expired");
+    if (error instanceof joseErrors.JOSEError) throw new InvalidTokenError(`Invalid token: ${error.message}`);
+    throw error;
+  }
+
+  if (typeof payload.exp !== "number") throw new InvalidTokenError("Token has no expiration time");
+
+  const scopes = scopesFrom(payload);
+  const missing = config.requiredScopes.filter(s => !scopes.includes(s));
+  if (missing.length) throw new InsufficientScopeError(`Missing scope: ${missing.join(" ")}`);
+
+  return {
+    token,
+    clientId: String(payload.client_id || payload.azp || payload.sub || "unknown"),
+    scopes,
+    expiresAt: payload.exp,
+    resource: new URL(resourceUrl),
+    extra: { sub: payload.sub, claims: payload }
+  };
+}
+
+/**
+ * WWW-Authenticate value for a failed request (RFC 6750 §3 + RFC 9728 §5.1).
+ * Without an error the challenge only points at the metadata.
+ */
+export function bearerChallenge(resourceMetadataUrl, error) {
+  const parts = [`resource_metadata="${resourceMetadataUrl}"`];
+  if (error) {
+    parts.unshift(`error="${error.errorCode}"`, `error_description="${error.message.replace(/"/g, "'")}"`);
+  }
+  return `Bearer ${parts.join(", ")}`;
+}
@@ -0,0 +1,446 @@
+import { z } from "zod";
+import {
+  ok,
+  friendlySupabaseError,
+  isMissingColumn,
+  queryActive,
+  dealOutcome
+} from "./crm-helpers.js";
+
+/**
+ * Pipelines and their stages: listing, validated deal stage moves, stage
+ * management (create, reorder, rename) and the pipeline summary report.
+ *
+ * Pipelines and stages can be referred to by id, code or name (case-insensitive).
+ * Stage order lives in whichever of `position`, `sort_order` or `order_index`
+ * the schema has.
+ */
+
+const ORDER_COLUMNS = ["position", "sort_order", "order_index"];
+
+const sameText = (a, b) => String(a ?? "").trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
+
+const slug = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+
+const orderColumnCache = new WeakMap();
+
+// First ORDER_COLUMNS entry pipeline_stages has, or null
+async function stageOrderColumn(supabase) {
+  if (!orderColumnCache.has(supabase)) {
+    orderColumnCache.set(supabase, (async () => {
+      for (const column of ORDER_COLUMNS) {
+        const { error } = await supabase.from("pipeline_stages").select(column).limit(1);
+        if (!error) return column;
+        if (!isMissingColumn(error, column)) friendlySupabaseError("pipeline_stages", error);
+      }
+      return null;
+    })());
+  }
+  return orderColumnCache.get(supabase);
+}
+
+async function listStages(supabase, pipelineId) {
+  const orderColumn = await stageOrderColumn(supabase);
+  let q = supabase.from("pipeline_stages").select("*");
+  if (pipelineId) q = q.eq("pipeline_id", pipelineId);
+  if (orderColumn) q = q.order(orderColumn, { ascending: true });
+  const { data, error } = await q.order("name", { ascending: true });
+  if (error) friendlySupabaseError("pipeline_stages", error);
+  return data || [];
+}
+
+async function resolvePipeline(supabase, ref) {
+  const { data, error } = await supabase.from("pipelines").select("*");
+  if (error) friendlySupabaseError("pipelines", error);
+  const match = (data || []).find(p => p.id === ref) ||
+    (data || []).find(p => sameText(p.code, ref)) ||
+    (data || []).find(p => sameText(p.name, ref));
+  if (!match) throw new Error(`No pipeline matching "${ref}". Use crm_list_pipelines to see them.`);
+  return match;
+}
+
+function matchStages(stages, ref) {
+  const byId = stages.filter(s => s.id === ref);
+  if (byId.length) return byId;
+  const byCode = stages.filter(s => sameText(s.code, ref));
+  return byCode.length ? byCode : stages.filter(s => sameText(s.name, ref));
+}
+
+/**
+ * Find a stage by id, code or name, within a pipeline when one is given.
+ * @throws when nothing or more than one stage matches
+ */
+async function resolveStage(supabase, ref, pipelineId) {
+  const matches = matchStages(await listStages(supabase, pipelineId), ref);
+  if (matches.length === 1) return matches[0];
+  if (!matches.length) {
+    throw new Error(`No stage matching "${ref}"${pipelineId ? ` in pipeline ${pipelineId}` : ""}. Use crm_list_stages to see them.`);
+  }
+  throw new Error(`Stage "${ref}" is ambiguous (pipelines ${matches.map(s => s.pipeline_id).join(", ")}). Pass the pipeline as well.`);
+}
+
+/**
+ * Check that a stage exists and belongs to the deal's pipeline (or to
+ * `pipelineId` when the update also changes the pipeline).
+ * @returns {Promise<Object>} the stage row
+ */
+export async function assertStageFitsDeal(supabase, dealId, stageId, pipelineId) {
+  const { data: stage, error } = await supabase.from("pipeline_stages").select("*").eq("id", stageId).maybeSingle();
+  if (error) friendlySupabaseError("pipeline_stages", error);
+  if (!stage) throw new Error(`No pipeline stage with id ${stageId}.`);
+
+  let targetPipeline = pipelineId;
+  if (!targetPipeline) {
+    const { data: deal, error: dealError } = await supabase.from("deals").select("pipeline_id").eq("id", dealId).maybeSingle();
+    if (dealError) friendlySupabaseError("deals", dealError);
+    if (!deal) throw new Error(`No deal with id ${dealId}.`);
+    targetPipeline = deal.pipeline_id;
+  }
+  if (targetPipeline && stage.pipeline_id && stage.pipeline_id !== targetPipeline) {
+    throw new Error(`Stage "${stage.name ?? stageId}" belongs to pipeline ${stage.pipeline_id}, not the deal's pipeline ${targetPipeline}.`);
+  }
+  return stage;
+}
+
+async function setStagePosition(supabase, audit, orderColumn, stage, position) {
+  if (stage[orderColumn] === position) return stage;
+  return audit.write("pipeline_stages", stage.id, async () => {
+    const { data, error } = await supabase
+      .from("pipeline_stages")
+      .update({ [orderColumn]: position })
+      .eq("id", stage.id)
+      .select()
+      .single();
+    if (error) friendlySupabaseError("pipeline_stages", error);
+    return data;
+  });
+}
+
+async function requireOrderColumn(supabase) {
+  const orderColumn = await stageOrderColumn(supabase);
+  if (!orderColumn) {
+    throw new Error(`pipeline_stages has no ${ORDER_COLUMNS.join("/")} column to order by. Apply supabase/migrations to add "position".`);
+  }
+  return orderColumn;
+}
+
+// Win probability 0..1 from the deal, else its stage; percentages are scaled down
+function dealProbability(deal, stage) {
+  for (const value of [deal.probability, stage?.probability, stage?.win_probability]) {
+    if (value == null || value === "" || !Number.isFinite(Number(value))) continue;
+    const n = Number(value);
+    return Math.min(1, Math.max(0, n > 1 ? n / 100 : n));
+  }
+  return null;
+}
+
+const money = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Counts and amounts for a set of deals. Weighted amount counts won deals in
+ * full, lost, cancelled and closed ones as 0, and open ones by their probability;
+ * open deals with no probability are left out of it and counted separately.
+ */
+function summarizeDeals(deals, stageById) {
+  const s = { deals: deals.length, open: 0, won: 0, lost: 0, cancelled: 0, closed: 0, amount: 0, open_amount: 0, won_amount: 0, weighted_amount: 0, without_probability: 0 };
+  let priced = 0;
+  for (const deal of deals) {
+    const outcome = dealOutcome(deal.status);
+    const amount = Number(deal.amount);
+    const hasAmount = deal.amount != null && deal.amount !== "" && Number.isFinite(amount);
+    s[outcome]++;
+    if (!hasAmount) continue;
+    priced++;
+    s.amount += amount;
+    if (outcome === "won") {
+      s.won_amount += amount;
+      s.weighted_amount += amount;
+    } else if (outcome === "open") {
+      s.open_amount += amount;
+      const p = dealProbability(deal, stageById.get(deal.stage_id));
+      if (p == null) s.without_probability++;
+      else s.weighted_amount += amount * p;
+    }
+  }
+  const closed = s.won + s.lost + s.cancelled + s.closed;
+  return {
+    ...s,
+    amount: money(s.amount),
+    open_amount: money(s.open_amount),
+    won_amount: money(s.won_amount),
+    weighted_amount: money(s.weighted_amount),
+    win_rate: closed ? Math.round((s.won / closed) * 1000) / 1000 : null,
+    average_deal_size: priced ? money(s.amount / priced) : null
+  };
+}
+
+// Deals matching the summary filters, fetched in pages past the PostgREST row cap
+async function fetchSummaryDeals(supabase, { pipelineId, company_id, since, until, include_archived }) {
+  const PAGE = 1000;
+  const deals = [];
+  for (let offset = 0; ; offset += PAGE) {
+    const { data, error } = await queryActive(scope => {
+      let q = scope(supabase.from("deals").select("*"));
+      if (pipelineId) q = q.eq("pipeline_id", pipelineId);
+      if (company_id) q = q.eq("company_id", company_id);
+      if (since) q = q.gte("created_at", since);
+      if (until) q = q.lte("created_at", until);
+      return q.order("id", { ascending: true }).range(offset, offset + PAGE - 1);
+    }, include_archived);
+    if (error) friendlySupabaseError("deals", error);
+    deals.push(...(data || []));
+    if (!data || data.length < PAGE) return deals;
+  }
+}
+
+/**
+ * Register pipeline and stage tools.
+ * @param {Object} server - MCP server (or the wrapped facade from registerCrmTools)
+ * @param {Object} supabase - The Supabase client instance
+ */
+export function registerPipelineTools(server, supabase) {
+  server.registerTool(
+    "crm_list_pipelines",
+    {
+      title: "List pipelines",
+      description: "List all deal pipelines, each with its stages in order.",
+      annotations: { readOnlyHint: true },
+      inputSchema: {
+        include_stages: z.boolean().optional()
+      }
+    },
+    async ({ include_stages = true }) => {
+      const { data: pipelines, error } = await supabase.from("pipelines").select("*").order("name", { ascending: true });
+      if (error) friendlySupabaseError("pipelines", error);
+      if (!include_stages) return ok(`Found ${pipelines.length} pipelines.`, pipelines);
+
+      const stages = await listStages(supabase);
+      const result = pipelines.map(p => ({ ...p, stages: stages.filter(s => s.pipeline_id === p.id) }));
+      return ok(`Found ${pipelines.length} pipelines.`, result);
+    }
+  );
+
+  server.registerTool(
+    "crm_list_stages",
+    {
+      title: "List stages",
+      description: "List the stages of a pipeline (id, code or name) in order, or of all pipelines.",
+      annotations: { readOnlyHint: true },
+      inputSchema: {
+        pipeline: z.string().min(1).optional()
+      }
+    },
+    async ({ pipeline }) => {
+      const target = pipeline ? await resolvePipeline(supabase, pipeline) : null;
+      const stages = await listStages(supabase, target?.id);
+      return ok(`Found ${stages.length} stages${target ? ` in pipeline "${target.name ?? target.code}"` : ""}.`, stages);
+    }
+  );
+
+  server.registerTool(
+    "crm_move_deal_stage",
+    {
+      title: "Move deal to stage",
+      description: "Move a deal to a stage given by id, code or name. The stage must belong to the deal's pipeline; pass pipeline to move the deal into a different pipeline.",
+      inputSchema: {
+        deal_id: z.string().uuid(),
+        stage: z.string().min(1),
+        pipeline: z.string().min(1).optional()
+      }
+    },
+    async ({ deal_id, stage, pipeline }, { audit }) => {
+      const { data: deal, error } = await supabase.from("deals").select("*").eq("id", deal_id).maybeSingle();
+      if (error) friendlySupabaseError("deals", error);
+      if (!deal) throw new Error(`No deal with id ${deal_id}.`);
+
+      const pipelineId = pipeline ? (await resolvePipeline(supabase, pipeline)).id : deal.pipeline_id;
+      let target;
+      try {
+        target = await resolveStage(supabase, stage, pipelineId);
+      } catch (notInPipeline) {
+        // Say so when the stage exists, just in another pipeline
+        const elsewhere = pipelineId ? matchStages(await listStages(supabase), stage) : [];
+        if (elsewhere.length) {
+          throw new Error(`Stage "${stage}" belongs to pipeline ${elsewhere[0].pipeline_id}, not the deal's pipeline ${pipelineId}. Pass pipeline to move the deal there.`);
+        }
+        throw notInPipeline;
+      }
+
+      const patch = { stage_id: target.id };
+      if (target.pipeline_id && target.pipeline_id !== deal.pipeline_id) patch.pipeline_id = target.pipeline_id;
+
+      const data = await audit.write("deals", deal_id, async () => {
+        const { data, error } = await supabase.from("deals").update(patch).eq("id", deal_id).select().single();
+        if (error) friendlySupabaseError("deals", error);
+        return data;
+      });
+      return ok(`Moved deal ${deal_id} to stage "${target.name ?? target.code}".`, data);
+    }
+  );
+
+  server.registerTool(
+    "crm_create_stage",
+    {
+      title: "Create stage",
+      description: "Add a stage to a pipeline, at the end or at a 1-based position (later stages shift down).",
+      inputSchema: {
+        pipeline: z.string().min(1),
+        name: z.string().min(1),
+        code: z.string().min(1).optional(),
+        position: z.number().int().min(1).optional()
+      }
+    },
+    async ({ pipeline, name, code, position }, { audit }) => {
+      const target = await resolvePipeline(supabase, pipeline);
+      const stages = await listStages(supabase, target.id);
+      const stageCode = code || slug(name);
+      if (stages.some(s => sameText(s.code, stageCode) || sameText(s.name, name))) {
+        throw new Error(`Pipeline "${target.name ?? target.code}" already has a stage named "${name}" or coded "${stageCode}".`);
+      }
+
+      const orderColumn = await stageOrderColumn(supabase);
+      const values = { pipeline_id: target.id, name, code: stageCode };
+      if (orderColumn) {
+        const at = Math.min(position ?? stages.length + 1, stages.length + 1);
+        // Make room, renumbering the pipeline 1..n on the way
+        for (const [i, s] of stages.entries()) {
+          await setStagePosition(supabase, audit, orderColumn, s, i + 1 >= at ? i + 2 : i + 1);
+        }
+        values[orderColumn] = at;
+      } else if (position) {
+        throw new Error(`pipeline_stages has no ${ORDER_COLUMNS.join("/")} column; stages can only be appended.`);
+      }
+
+      const data = await audit.write("pipeline_stages", null, async () => {
+        const { data, error } = await supabase.from("pipeline_stages").insert([values]).select().single();
+        if (error) friendlySupabaseError("pipeline_stages", error);
+        return data;
+      });
+      return ok(`Created stage "${name}" in pipeline "${target.name ?? target.code}".`, data);
+    }
+  );
+
+  server.registerTool(
+    "crm_reorder_stages",
+    {
+      title: "Reorder stages",
+      description: "Set the order of a pipeline's stages. List every stage of the pipeline once (by id, code or name), in the new order.",
+      inputSchema: {
+        pipeline: z.string().min(1),
+        stages: z.array(z.string().min(1)).min(1)
+      }
+    },
+    async ({ pipeline, stages: order }, { audit }) => {
+      const target = await resolvePipeline(supabase, pipeline);
+      const orderColumn = await requireOrderColumn(supabase);
+      const stages = await listStages(supabase, target.id);
+
+      const ordered = order.map(ref => {
+        const matches = matchStages(stages, ref);
+        if (matches.length !== 1) throw new Error(`"${ref}" does not name exactly one stage of pipeline "${target.name ?? target.code}".`);
+        return matches[0];
+      });
+      const ids = new Set(ordered.map(s => s.id));
+      if (ids.size !== ordered.length) throw new Error("A stage is listed more than once.");
+      const missing = stages.filter(s => !ids.has(s.id));
+      if (missing.length) throw new Error(`Missing stages: ${missing.map(s => s.name ?? s.code).join(", ")}. List every stage of the pipeline.`);
+
+      const result = [];
+      for (const [i, stage] of ordered.entries()) {
+        result.push(await setStagePosition(supabase, audit, orderColumn, stage, i + 1));
+      }
+      return ok(`Reordered ${result.length} stages in pipeline "${target.name ?? target.code}".`, result);
+    }
+  );
+
+  server.registerTool(
+    "crm_rename_stage",
+    {
+      title: "Rename stage",
+      description: "Rename a stage (by id, code or name) and optionally change its code. Pass pipeline when the name is used in several pipelines.",
+      inputSchema: {
+        stage: z.string().min(1),
+        pipeline: z.string().min(1).optional(),
+        name: z.string().min(1),
+        code: z.string().min(1).optional()
+      }
+    },
+    async ({ stage, pipeline, name, code }, { audit }) => {
+      const pipelineId = pipeline ? (await resolvePipeline(supabase, pipeline)).id : undefined;
+      const target = await resolveStage(supabase, stage, pipelineId);
+
+      const siblings = (await listStages(supabase, target.pipeline_id)).filter(s => s.id !== target.id);
+      if (siblings.some(s => sameText(s.name, name) || (code && sameText(s.code, code)))) {
+        throw new Error(`Another stage in this pipeline is already named "${name}"${code ? ` or coded "${code}"` : ""}.`);
+      }
+
+      const patch = { name, ...(code ? { code } : {}) };
+      const data = await audit.write("pipeline_stages", target.id, async () => {
+        const { data, error } = await supabase.from("pipeline_stages").update(patch).eq("id", target.id).select().single();
+        if (error) friendlySupabaseError("pipeline_stages", error);
+        return data;
+      });
+      return ok(`Renamed stage "${target.name}" to "${name}".`, data);
+    }
+  );
+
+  server.registerTool(
+    "crm_pipeline_summary",
+    {
+      title: "Pipeline summary",
+      description: "Report per pipeline and stage: deal counts, total and weighted amount, won/lost/cancelled/closed counts, win rate (won / closed) and average deal size. Filter by pipeline, company and created_at range. Archived deals are excluded unless include_archived is true.",
+      annotations: { readOnlyHint: true },
+      inputSchema: {
+        pipeline: z.string().min(1).optional(),
+        company_id: z.string().uuid().optional(),
+        since: z.string().datetime({ offset: true }).optional(),
+        until: z.string().datetime({ offset: true }).optional(),
+        include_archived: z.boolean().optional()
+      }
+    },
+    async ({ pipeline, company_id, since, until, include_archived }) => {
+      const target = pipeline ? await resolvePipeline(supabase, pipeline) : null;
+      let pipelines = [target];
+      if (!target) {
+        const { data, error } = await supabase.from("pipelines").select("*").order("name", { ascending: true });
+        if (error) friendlySupabaseError("pipelines", error);
+        pipelines = data || [];
+      }
+      const stages = await listStages(supabase, target?.id);
+      const stageById = new Map(stages.map(s => [s.id, s]));
+      const deals = await fetchSummaryDeals(supabase, { pipelineId: target?.id, company_id, since, until, include_archived });
+
+      const byPipeline = new Map();
+      for (const deal of deals) {
+        const key = deal.pipeline_id ?? null;
+        if (!byPipeline.has(key)) byPipeline.set(key, []);
+        byPipeline.get(key).push(deal);
+      }
+
+      const report = pipelines.map(p => {
+        const pipelineDeals = byPipeline.get(p.id) || [];
+        byPipeline.delete(p.id);
+        const stageRows = stages.filter(s => s.pipeline_id === p.id).map(s => ({
+          id: s.id,
+          code: s.code,
+          name: s.name,
+          ...summarizeDeals(pipelineDeals.filter(d => d.stage_id === s.id), stageById)
+        }));
+        const unstaged = pipelineDeals.filter(d => !stageById.has(d.stage_id) || stageById.get(d.stage_id).pipeline_id !== p.id);
+        if (unstaged.length) stageRows.push({ id: null, code: null, name: "(no stage in this pipeline)", ...summarizeDeals(unstaged, stageById) });
+        return { id: p.id, code: p.code, name: p.name, ...summarizeDeals(pipelineDeals, stageById), stages: stageRows };
+      });
+      // Deals without a pipeline, or in one that no longer exists
+      const orphaned = [...byPipeline.values()].flat();
+      if (orphaned.length) report.push({ id: null, code: null, name: "(no pipeline)", ...summarizeDeals(orphaned, stageById), stages: [] });
+
+      const totals = summarizeDeals(deals, stageById);
+      const rate = totals.win_rate == null ? "no closed deals" : `win rate ${Math.round(totals.win_rate * 100)}%`;
+      return ok(`${deals.length} deals across ${report.length} pipelines, ${rate}.`, {
+        filters: { pipeline: target?.id ?? null, company_id: company_id ?? null, since: since ?? null, until: until ?? null, include_archived: !!include_archived },
+        totals,
+        pipelines: report
+      });
+    }
+  );
+}
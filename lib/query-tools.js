@@ -0,0 +1,247 @@
+import { createHash } from "node:crypto";
+import { z } from "zod";
+import {
+  ok,
+  friendlySupabaseError,
+  ENTITY_TABLES,
+  likePattern,
+  quoteFilterValue,
+  queryActive
+} from "./crm-helpers.js";
+
+/**
+ * crm_query: structured queries over contacts, companies, deals and leads.
+ *
+ * Filters are objects rather than strings, and only the fields listed in
+ * QUERY_FIELDS can be filtered or sorted on. Values go through supabase-js
+ * filter methods or quoteFilterValue, never into a filter string as-is.
+ *
+ * Paging is keyset-based: the cursor holds the sort value and id of the last
+ * row, so walking a large result set never skips or repeats rows the way
+ * offsets do when rows are added in between.
+ */
+
+// Field -> kind, per entity. Kinds decide which operators and values apply.
+export const QUERY_FIELDS = {
+  contact: {
+    id: "uuid", first_name: "text", last_name: "text", full_name: "text", email: "text", phone: "text",
+    title: "text", notes: "text", company_id: "uuid", created_at: "date", archived_at: "date"
+  },
+  company: {
+    id: "uuid", name: "text", website: "text", phone: "text", address: "text", industry: "text",
+    notes: "text", created_at: "date", archived_at: "date"
+  },
+  deal: {
+    id: "uuid", title: "text", status: "text", amount: "number", stage_id: "uuid", pipeline_id: "uuid",
+    company_id: "uuid", contact_person_id: "uuid", notes: "text", created_at: "date", archived_at: "date"
+  },
+  lead: {
+    id: "uuid", first_name: "text", last_name: "text", email: "text", phone: "text", company: "text",
+    source: "text", status: "text", message: "text", company_id: "uuid", converted_at: "date",
+    created_at: "date", archived_at: "date"
+  }
+};
+
+const scalar = z.union([z.string(), z.number(), z.boolean()]);
+const bound = z.union([z.string(), z.number()]);
+
+export const filterSchema = z.discriminatedUnion("op", [
+  z.object({ op: z.literal("eq"), field: z.string(), value: scalar }),
+  z.object({ op: z.literal("in"), field: z.string(), values: z.array(scalar).min(1).max(100) }),
+  z.object({
+    op: z.literal("range"),
+    field: z.string(),
+    gte: bound.optional(),
+    gt: bound.optional(),
+    lte: bound.optional(),
+    lt: bound.optional()
+  }),
+  z.object({ op: z.literal("is_null"), field: z.string(), value: z.boolean().optional() }),
+  z.object({ op: z.literal("contains"), field: z.string(), value: z.string().min(1) })
+]);
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Check a value against a field kind; returns it in the form the database expects
+function checkValue(entity, field, kind, value) {
+  const fail = (expected) => { throw new Error(`${entity}.${field} expects ${expected}, got ${JSON.stringify(value)}.`); };
+  if (kind === "number") {
+    const n = typeof value === "number" ? value : Number(value);
+    if (value === "" || typeof value === "boolean" || !Number.isFinite(n)) fail("a number");
+    return n;
+  }
+  if (kind === "date") {
+    if (typeof value !== "string" || Number.isNaN(Date.parse(value))) fail("an ISO date or timestamp");
+    return value;
+  }
+  if (kind === "uuid") {
+    if (typeof value !== "string" || !UUID.test(value)) fail("a uuid");
+    return value;
+  }
+  return String(value);
+}
+
+export function fieldKind(entity, field) {
+  const kind = QUERY_FIELDS[entity][field];
+  if (!kind) throw new Error(`Unknown field "${field}" for ${entity}. Fields: ${Object.keys(QUERY_FIELDS[entity]).join(", ")}.`);
+  return kind;
+}
+
+function applyFilter(q, entity, filter) {
+  const { op, field } = filter;
+  const kind = fieldKind(entity, field);
+  const value = (v) => checkValue(entity, field, kind, v);
+
+  switch (op) {
+    case "eq":
+      return q.eq(field, value(filter.value));
+    case "in":
+      return q.in(field, filter.values.map(value));
+    case "range": {
+      if (kind !== "number" && kind !== "date") throw new Error(`range needs a number or date field; ${entity}.${field} is ${kind}.`);
+      const bounds = ["gte", "gt", "lte", "lt"].filter(b => filter[b] !== undefined);
+      if (!bounds.length) throw new Error(`range on ${field} needs at least one of gte, gt, lte, lt.`);
+      for (const b of bounds) q = q[b](field, value(filter[b]));
+      return q;
+    }
+    case "is_null":
+      return filter.value === false ? q.not(field, "is", null) : q.is(field, null);
+    case "contains":
+      if (kind !== "text") throw new Error(`contains needs a text field; ${entity}.${field} is ${kind}.`);
+      return q.ilike(field, likePattern(filter.value));
+  }
+  return q;
+}
+
+// Ties the cursor to the query it came from
+export const queryHash = (entity, filters, sort) =>
+  createHash("sha256").update(JSON.stringify([entity, filters, sort])).digest("base64url").slice(0, 16);
+
+export function encodeCursor(hash, field, row) {
+  return Buffer.from(JSON.stringify({ h: hash, v: row[field] ?? null, id: row.id })).toString("base64url");
+}
+
+export function decodeCursor(cursor, hash) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Invalid cursor.");
+  }
+  if (!parsed || typeof parsed !== "object" || !("id" in parsed)) throw new Error("Invalid cursor.");
+  if (parsed.h !== hash) throw new Error("This cursor belongs to a different query. Repeat the query with the same entity_type, filters and sort.");
+  return parsed;
+}
+
+/**
+ * `.or()` filter for the rows after (value, id) in the order
+ * `field` asc/desc with nulls last, then id ascending.
+ */
+export function afterFilter(field, ascending, value, id) {
+  const tieBreak = `id.gt.${quoteFilterValue(id)}`;
+  if (value === null) return `and(${field}.is.null,${tieBreak})`;
+  const v = quoteFilterValue(value);
+  return `${field}.${ascending ? "gt" : "lt"}.${v},${field}.is.null,and(${field}.eq.${v},${tieBreak})`;
+}
+
+/**
+ * One page of a query: up to `limit` rows after the keyset position `after`
+ * ({ v, id } of the last row of the previous page), plus one more row when
+ * there is another page. `count` adds the total row count.
+ */
+async function fetchPage(supabase, { entity, filters, sortField, ascending, after, limit, includeArchived, count }) {
+  const table = ENTITY_TABLES[entity];
+  const { data, count: total, error } = await queryActive(scope => {
+    let q = scope(supabase.from(table).select("*", count ? { count: "exact" } : undefined));
+    for (const filter of filters) q = applyFilter(q, entity, filter);
+    if (sortField === "id") {
+      if (after) q = ascending ? q.gt("id", after.id) : q.lt("id", after.id);
+      return q.order("id", { ascending }).limit(limit + 1);
+    }
+    if (after) q = q.or(afterFilter(sortField, ascending, after.v, after.id));
+    return q
+      .order(sortField, { ascending, nullsFirst: false })
+      .order("id", { ascending: true })
+      .limit(limit + 1);
+  }, includeArchived);
+  if (error) friendlySupabaseError(table, error);
+  return { rows: data || [], total };
+}
+
+/**
+ * Every row matching a structured query, fetched `pageSize` rows at a time.
+ * Yields one page (an array of rows) at a time.
+ * @param {Object} supabase - The Supabase client instance
+ * @param {Object} query - entity_type, filters, sort ({ field, direction }) and include_archived, as for crm_query
+ * @param {number} [pageSize]
+ */
+export async function* queryPages(supabase, { entity_type, filters = [], sort, include_archived = false }, pageSize = 1000) {
+  const sortField = sort?.field ?? "created_at";
+  const ascending = (sort?.direction ?? "desc") === "asc";
+  fieldKind(entity_type, sortField);
+
+  let after = null;
+  for (;;) {
+    const { rows } = await fetchPage(supabase, {
+      entity: entity_type, filters, sortField, ascending, after, limit: pageSize, includeArchived: include_archived
+    });
+    const page = rows.slice(0, pageSize);
+    if (page.length) yield page;
+    if (rows.length <= pageSize) return;
+    const last = page[page.length - 1];
+    after = { v: last[sortField] ?? null, id: last.id };
+  }
+}
+
+/**
+ * Register crm_query.
+ * @param {Object} server - MCP server (or the wrapped facade from registerCrmTools)
+ * @param {Object} supabase - The Supabase client instance
+ */
+export function registerQueryTools(server, supabase) {
+  const fieldList = Object.entries(QUERY_FIELDS).map(([entity, fields]) => `${entity}: ${Object.keys(fields).join(", ")}`).join("; ");
+
+  server.registerTool(
+    "crm_query",
+    {
+      title: "Query records",
+      description: "Structured query over contacts, companies, deals or leads. Filters (all must match): {op:\"eq\",field,value}, {op:\"in\",field,values}, {op:\"range\",field,gte/gt/lte/lt} for numbers and dates, {op:\"is_null\",field,value?} (false = not null), {op:\"contains\",field,value} for text. Sort by one field (default created_at desc). Pass next_cursor back as cursor for the next page. Fields - " + fieldList + ".",
+      annotations: { readOnlyHint: true },
+      inputSchema: {
+        entity_type: z.enum(["contact", "company", "deal", "lead"]),
+        filters: z.array(filterSchema).max(20).optional(),
+        sort: z.object({
+          field: z.string(),
+          direction: z.enum(["asc", "desc"]).optional()
+        }).optional(),
+        limit: z.number().int().min(1).max(100).optional(),
+        cursor: z.string().min(1).optional(),
+        include_archived: z.boolean().optional()
+      }
+    },
+    async ({ entity_type, filters = [], sort, limit = 25, cursor, include_archived = false }) => {
+      const table = ENTITY_TABLES[entity_type];
+      const sortField = sort?.field ?? "created_at";
+      const ascending = (sort?.direction ?? "desc") === "asc";
+      fieldKind(entity_type, sortField);
+
+      const hash = queryHash(entity_type, filters, { field: sortField, ascending, include_archived });
+      const after = cursor ? decodeCursor(cursor, hash) : null;
+
+      const { rows, total: count } = await fetchPage(supabase, {
+        entity: entity_type, filters, sortField, ascending, after, limit, includeArchived: include_archived, count: !cursor
+      });
+
+      // One extra row tells us whether there is another page
+      const items = rows.slice(0, limit);
+      const nextCursor = rows.length > limit ? encodeCursor(hash, sortField, items[items.length - 1]) : null;
+      const total = cursor ? null : count ?? null;
+
+      return ok(`${total != null ? `${total} ${table} match; ` : ""}showing ${items.length}${nextCursor ? ", more with next_cursor" : ""}.`, {
+        ...(total != null ? { total } : {}),
+        next_cursor: nextCursor,
+        items
+      });
+    }
+  );
+}
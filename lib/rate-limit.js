@@ -0,0 +1,166 @@
+import { matchesToolPattern } from "./access-control.js";
+
+/**
+ * Fixed-window rate limits for CRM tool calls, counted per caller.
+ *
+ * Rules come from the environment:
+ * - MCP_RATE_LIMIT_CALLS_PER_MINUTE=60        every tool call
+ * - MCP_RATE_LIMIT_WRITES_PER_HOUR=200        tools without readOnlyHint
+ * - MCP_RATE_LIMIT_TOOLS="crm_search_deals=20/minute,crm_create_*=100/hour"
+ *   per tool (patterns match, each tool is counted separately)
+ *
+ * Counters live in a store with `get(key)` and `increment(key, windowMs)`;
+ * swap MemoryRateLimitStore for a shared one (Redis, Upstash, ...) when
+ * several instances serve the endpoint.
+ */
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const WINDOWS = {
+  s: SECOND, sec: SECOND, second: SECOND,
+  m: MINUTE, min: MINUTE, minute: MINUTE,
+  h: HOUR, hour: HOUR,
+  d: DAY, day: DAY
+};
+
+const WINDOW_NAMES = { [SECOND]: "second", [MINUTE]: "minute", [HOUR]: "hour", [DAY]: "day" };
+
+function parseRate(spec) {
+  const m = String(spec).trim().match(/^(\d+)\s*\/\s*([a-z]+)$/i);
+  const windowMs = m && WINDOWS[m[2].toLowerCase()];
+  if (!windowMs) throw new Error(`Invalid rate "${spec}". Use e.g. 30/minute or 100/hour.`);
+  return { limit: Number(m[1]), windowMs };
+}
+
+function positiveInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Rate-limit rules from the environment (empty when nothing is configured).
+ */
+export function rateLimitRulesFromEnv(env = process.env) {
+  const rules = [];
+
+  const perMinute = positiveInt(env.MCP_RATE_LIMIT_CALLS_PER_MINUTE);
+  if (perMinute) rules.push({ id: "calls", tools: ["*"], limit: perMinute, windowMs: MINUTE });
+
+  const writesPerHour = positiveInt(env.MCP_RATE_LIMIT_WRITES_PER_HOUR);
+  if (writesPerHour) rules.push({ id: "writes", writesOnly: true, limit: writesPerHour, windowMs: HOUR });
+
+  for (const entry of (env.MCP_RATE_LIMIT_TOOLS || "").split(",")) {
+    if (!entry.trim()) continue;
+    const [pattern, rate] = entry.split("=");
+    if (!rate) throw new Error(`Invalid MCP_RATE_LIMIT_TOOLS entry "${entry}". Use tool=limit/window.`);
+    rules.push({ id: `tool:${pattern.trim()}`, tools: [pattern.trim()], perTool: true, ...parseRate(rate) });
+  }
+
+  return rules;
+}
+
+/**
+ * Default in-process store. Counters reset when the process restarts.
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map(); // key -> { count, resetAt }
+  }
+
+  async get(key) {
+    const w = this.windows.get(key);
+    if (!w) return null;
+    if (w.resetAt <= Date.now()) {
+      this.windows.delete(key);
+      return null;
+    }
+    return { ...w };
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let w = this.windows.get(key);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, w);
+    }
+    w.count++;
+    if (this.windows.size > 10000) this.sweep();
+    return { ...w };
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, w] of this.windows) {
+      if (w.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+const describeWindow = (ms) => WINDOW_NAMES[ms] || `${ms / SECOND}s`;
+
+export class RateLimiter {
+  /**
+   * @param {Object} opts
+   * @param {Object[]} opts.rules - From rateLimitRulesFromEnv()
+   * @param {Object} [opts.store] - Counter store; in-memory by default
+   * @param {(toolName: string) => boolean} [opts.isWriteTool] - Classifies tools for writesOnly rules
+   */
+  constructor({ rules, store = new MemoryRateLimitStore(), isWriteTool = () => true }) {
+    this.rules = rules;
+    this.store = store;
+    this.isWriteTool = isWriteTool;
+  }
+
+  get enabled() {
+    return this.rules.length > 0;
+  }
+
+  _applicable(toolName) {
+    return this.rules.filter(rule =>
+      rule.writesOnly ? this.isWriteTool(toolName) : matchesToolPattern(rule.tools, toolName)
+    );
+  }
+
+  _key(rule, caller, toolName) {
+    return rule.perTool ? `${caller}|${rule.id}|${toolName}` : `${caller}|${rule.id}`;
+  }
+
+  /**
+   * Count a batch of tool calls for one caller. Nothing is counted unless
+   * every call fits, so a rejected request doesn't use up the quota.
+   * @returns {Promise<null | { toolName: string, message: string, retryAfter: number }>}
+   */
+  async consume(caller, toolNames) {
+    const planned = new Map(); // key -> { rule, toolName, count }
+    for (const toolName of toolNames) {
+      for (const rule of this._applicable(toolName)) {
+        const key = this._key(rule, caller, toolName);
+        if (!planned.has(key)) planned.set(key, { rule, toolName, count: 0 });
+        planned.get(key).count++;
+      }
+    }
+
+    for (const [key, { rule, toolName, count }] of planned) {
+      const current = await this.store.get(key);
+      if ((current?.count ?? 0) + count > rule.limit) {
+        const resetAt = current?.resetAt ?? Date.now() + rule.windowMs;
+        const what = rule.writesOnly ? "write calls" : rule.perTool ? `calls to ${toolName}` : "tool calls";
+        const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / SECOND));
+        return {
+          toolName,
+          message: `Rate limit exceeded: ${rule.limit} ${what} per ${describeWindow(rule.windowMs)}. Retry after ${retryAfter}s.`,
+          retryAfter
+        };
+      }
+    }
+
+    for (const [key, { rule, count }] of planned) {
+      for (let i = 0; i < count; i++) await this.store.increment(key, rule.windowMs);
+    }
+    return null;
+  }
+}
@@ -0,0 +1,256 @@
+import { z } from "zod";
+import {
+  ok,
+  friendlySupabaseError,
+  ENTITY_TABLES,
+  NOTE_TABLES,
+  isAbsent,
+  isMissingColumn,
+  queryActive
+} from "./crm-helpers.js";
+
+/**
+ * Record views: crm_get_contact, crm_get_company, crm_get_deal and
+ * crm_get_lead return one record by id together with its related records
+ * (company, contacts with their role on a deal, deals with pipeline and stage,
+ * leads and recent notes) under `related`, and the full size of every related
+ * list under `related_counts`.
+ *
+ * `depth` is how many hops of relations are followed (0 = the record alone);
+ * `limit` caps each related list. A record already shown further up the tree
+ * is not expanded again. Relations the schema doesn't have are left out.
+ */
+
+// Run build(ordered) newest first, or unordered if the table has no created_at
+async function newestFirst(build) {
+  const result = await build(true);
+  return isMissingColumn(result.error, "created_at") ? build(false) : result;
+}
+
+// Attach { id, code, name } of the stage and pipeline to each deal
+async function withStages(ctx, deals) {
+  for (const [table, column, key] of [["pipeline_stages", "stage_id", "stage"], ["pipelines", "pipeline_id", "pipeline"]]) {
+    const cache = (ctx.lookups[table] ||= new Map());
+    const ids = [...new Set(deals.map(d => d[column]).filter(id => id && !cache.has(id)))];
+    if (ids.length) {
+      const { data, error } = await ctx.supabase.from(table).select("id, code, name").in("id", ids);
+      if (error) {
+        if (isAbsent(error, { table })) continue;
+        friendlySupabaseError(table, error);
+      }
+      for (const row of data || []) cache.set(row.id, row);
+    }
+    for (const deal of deals) {
+      if (deal[column] !== undefined) deal[key] = cache.get(deal[column]) ?? null;
+    }
+  }
+  return deals;
+}
+
+// One record by id; with activeOnly, an archived one counts as missing unless ctx.includeArchived
+async function fetchOne(ctx, entity, id, { activeOnly = false } = {}) {
+  const table = ENTITY_TABLES[entity];
+  const { data, error } = await queryActive(scope =>
+    scope(ctx.supabase.from(table).select("*").eq("id", id)).maybeSingle(), ctx.includeArchived || !activeOnly);
+  if (error) friendlySupabaseError(table, error);
+  if (data && entity === "deal") await withStages(ctx, [data]);
+  return data;
+}
+
+// Newest `limit` rows of an entity matching one filter, plus the total count
+async function fetchRecent(ctx, entity, filter) {
+  const table = ENTITY_TABLES[entity];
+  const { data, count, error } = await queryActive(scope => newestFirst(ordered => {
+    let q = filter(scope(ctx.supabase.from(table).select("*", { count: "exact" })));
+    if (ordered) q = q.order("created_at", { ascending: false });
+    return q.limit(ctx.limit);
+  }), ctx.includeArchived);
+  return { rows: data || [], total: count ?? data?.length ?? 0, error, table };
+}
+
+const belongsTo = (entity, column) => ({
+  entity,
+  load: async (ctx, record) => {
+    if (record[column] === undefined) return undefined;
+    return record[column] ? fetchOne(ctx, entity, record[column], { activeOnly: true }) : null;
+  }
+});
+
+const hasMany = (entity, column) => ({
+  entity,
+  many: true,
+  load: async (ctx, record) => {
+    const { rows, total, error, table } = await fetchRecent(ctx, entity, q => q.eq(column, record.id));
+    if (error) {
+      if (isAbsent(error, { table, column })) return undefined;
+      friendlySupabaseError(table, error);
+    }
+    if (entity === "deal") await withStages(ctx, rows);
+    return { rows, total };
+  }
+});
+
+const notesOf = (entity) => ({
+  many: true,
+  load: async (ctx, record) => {
+    const { table, column } = NOTE_TABLES[entity];
+    const { data, count, error } = await newestFirst(ordered => {
+      let q = ctx.supabase.from(table).select("*", { count: "exact" }).eq(column, record.id);
+      if (ordered) q = q.order("created_at", { ascending: false });
+      return q.limit(ctx.limit);
+    });
+    if (error) {
+      if (isAbsent(error, { table, column })) return undefined;
+      friendlySupabaseError(table, error);
+    }
+    return { rows: data || [], total: count ?? data?.length ?? 0 };
+  }
+});
+
+// deal_contacts rows matching a filter, or [] when the table doesn't exist
+async function junctionRows(ctx, column, id) {
+  const { data, error } = await ctx.supabase.from("deal_contacts").select("*").eq(column, id);
+  if (error) {
+    if (isAbsent(error, { table: "deal_contacts" })) return [];
+    friendlySupabaseError("deal_contacts", error);
+  }
+  return data || [];
+}
+
+const junctionFields = (row) => row ? { role_at_deal: row.role_at_deal ?? null, is_main_contact: row.is_main_contact ?? null } : {};
+
+// Deals where the contact is contact person or linked through deal_contacts
+const contactDeals = {
+  entity: "deal",
+  many: true,
+  load: async (ctx, contact) => {
+    const { data: direct, error } = await ctx.supabase.from("deals").select("id").eq("contact_person_id", contact.id);
+    if (error && !isAbsent(error, { table: "deals", column: "contact_person_id" })) friendlySupabaseError("deals", error);
+    const links = new Map((await junctionRows(ctx, "contact_id", contact.id)).map(l => [l.deal_id, l]));
+    const directIds = new Set((error ? [] : direct || []).map(d => d.id));
+    const ids = [...new Set([...directIds, ...links.keys()])];
+    if (!ids.length) return { rows: [], total: 0 };
+
+    const { rows, total, error: dealError } = await fetchRecent(ctx, "deal", q => q.in("id", ids));
+    if (dealError) friendlySupabaseError("deals", dealError);
+    await withStages(ctx, rows);
+    return {
+      rows: rows.map(d => ({ ...d, is_contact_person: directIds.has(d.id), ...junctionFields(links.get(d.id)) })),
+      total
+    };
+  }
+};
+
+// Contacts linked to the deal through deal_contacts, with their role
+const dealContacts = {
+  entity: "contact",
+  many: true,
+  load: async (ctx, deal) => {
+    const links = new Map((await junctionRows(ctx, "deal_id", deal.id)).map(l => [l.contact_id, l]));
+    if (!links.size) return { rows: [], total: 0 };
+    const { rows, total, error } = await fetchRecent(ctx, "contact", q => q.in("id", [...links.keys()]));
+    if (error) friendlySupabaseError("contacts", error);
+    return { rows: rows.map(c => ({ ...c, ...junctionFields(links.get(c.id)) })), total };
+  }
+};
+
+const RELATIONS = {
+  contact: {
+    company: belongsTo("company", "company_id"),
+    deals: contactDeals,
+    converted_from: hasMany("lead", "converted_contact_id"),
+    notes: notesOf("contact")
+  },
+  company: {
+    contacts: hasMany("contact", "company_id"),
+    deals: hasMany("deal", "company_id"),
+    leads: hasMany("lead", "company_id"),
+    notes: notesOf("company")
+  },
+  deal: {
+    company: belongsTo("company", "company_id"),
+    contact_person: belongsTo("contact", "contact_person_id"),
+    contacts: dealContacts,
+    notes: notesOf("deal")
+  },
+  lead: {
+    company: belongsTo("company", "company_id"),
+    converted_company: belongsTo("company", "converted_company_id"),
+    converted_contact: belongsTo("contact", "converted_contact_id"),
+    converted_deal: belongsTo("deal", "converted_deal_id"),
+    notes: notesOf("lead")
+  }
+};
+
+/**
+ * The record with `related` and `related_counts` filled in, following
+ * relations `depth` hops deep. `path` holds the records above this one.
+ */
+async function expandRecord(ctx, entity, record, depth, path = new Set()) {
+  const here = new Set(path).add(`${entity}:${record.id}`);
+  const related = {};
+  const counts = {};
+
+  for (const [name, relation] of Object.entries(RELATIONS[entity])) {
+    if (relation.entity && ctx.entities && !ctx.entities.includes(relation.entity)) {
+      ctx.hidden.add(relation.entity);
+      continue;
+    }
+    const result = await relation.load(ctx, record);
+    if (result === undefined) continue;
+
+    const expand = async (row) => relation.entity && depth > 1 && !here.has(`${relation.entity}:${row.id}`)
+      ? expandRecord(ctx, relation.entity, row, depth - 1, here)
+      : row;
+
+    if (relation.many) {
+      related[name] = [];
+      for (const row of result.rows) related[name].push(await expand(row));
+      counts[name] = result.total;
+    } else {
+      related[name] = result && await expand(result);
+    }
+  }
+  return { ...record, related, related_counts: counts };
+}
+
+/**
+ * Register crm_get_contact, crm_get_company, crm_get_deal and crm_get_lead.
+ * @param {Object} server - MCP server (or the wrapped facade from registerCrmTools)
+ * @param {Object} supabase - The Supabase client instance
+ */
+export function registerRecordViewTools(server, supabase) {
+  for (const entity of Object.keys(ENTITY_TABLES)) {
+    const idArg = `${entity}_id`;
+    const relations = Object.keys(RELATIONS[entity]).join(", ");
+
+    server.registerTool(
+      `crm_get_${entity}`,
+      {
+        title: `Get ${entity}`,
+        description: `Get one ${entity} by id with its related records (${relations}). depth (0-3, default 1) is how many hops of relations to follow; limit (default 10) caps each related list, with full sizes in related_counts.`,
+        annotations: { readOnlyHint: true },
+        inputSchema: {
+          [idArg]: z.string().uuid(),
+          depth: z.number().int().min(0).max(3).optional(),
+          limit: z.number().int().min(1).max(100).optional(),
+          include_archived: z.boolean().optional()
+        }
+      },
+      async (args, extra) => {
+        const { depth = 1, limit = 10, include_archived = false } = args;
+        const id = args[idArg];
+        const ctx = { supabase, limit, includeArchived: include_archived, entities: extra?.entities, hidden: new Set(), lookups: {} };
+
+        const record = await fetchOne(ctx, entity, id);
+        if (!record) throw new Error(`No ${entity} with id ${id}.`);
+        if (depth === 0) return ok(`Found ${entity} ${id}.`, record);
+
+        const view = await expandRecord(ctx, entity, record, depth);
+        const counts = Object.entries(view.related_counts).map(([name, n]) => `${n} ${name}`).join(", ");
+        if (ctx.hidden.size) view.hidden_entities = [...ctx.hidden];
+        return ok(`Found ${entity} ${id}${counts ? ` (${counts})` : ""}.`, view);
+      }
+    );
+  }
+}
@@ -1,103 +1,66 @@
 import { z } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import { withAccessControl } from "./access-control.js";
+import { AUDIT_TABLE, withAudit, visibleAuditTables, isAuditEntryVisible } from "./audit.js";
+import { withToolFilter } from "./tool-options.js";
+import { registerArchiveTools } from "./archive-tools.js";
+import { registerLeadConversionTools } from "./lead-conversion.js";
+import { registerDuplicateTools } from "./duplicate-tools.js";
+import { assertStageFitsDeal, registerPipelineTools } from "./pipeline-tools.js";
+import { registerDealHistoryTools } from "./deal-history.js";
+import { registerRecordViewTools } from "./record-view.js";
+import { registerNoteTools } from "./note-tools.js";
+import { registerTaskTools } from "./task-tools.js";
+import { registerQueryTools } from "./query-tools.js";
+import { registerGlobalSearchTools } from "./global-search.js";
+import { registerImportTools } from "./import-tools.js";
+import { registerExportTools } from "./export-tools.js";
+import { registerVcardTools } from "./vcard.js";
+import {
+  ok,
+  friendlySupabaseError,
+  sanitizeUpdates,
+  smartInsertNote,
+  getCompanyIdFrom,
+  queryActive,
+  likePattern,
+  ilikeAny,
+  CREATE_FIELDS
+} from "./crm-helpers.js";
 
 /**
  * Register *all* your CRM tools on the given MCP server instance.
  * 
  * This module contains all the tool registration logic that can be shared
- * between the local STDIO server and the remote HTTP server.
+ * between the local STDIO server and the remote HTTP server. Larger tool
+ * groups live in their own modules and are registered from here through the
+ * same filtered, access-checked and audited server.
  */
 
-// Helper to stringify results (matches your existing implementation)
-const ok = (msg, json) => ({
-  content: [
-    { type: "text", text: msg },
-    { type: "text", text: json ? `\n\nResult:\n${JSON.stringify(json, null, 2)}` : "" }
-  ]
-});
-
-// ---- small utils (matches your existing implementation)
-const omit = (obj, ...keys) => {
-  const c = { ...obj };
-  for (const k of keys) delete c[k];
-  return c;
-};
-
-function friendlySupabaseError(table, error) {
-  const msg = error?.message || String(error || "Unknown error");
-  if (/row-level security/i.test(msg)) {
-    throw new Error(`Write blocked by Row Level Security on "${table}". Use a service-role key locally or adjust RLS.`);
-  }
-  if (/violates foreign key constraint/i.test(msg)) {
-    throw new Error(`Foreign key error writing to "${table}": ${msg}`);
-  }
-  throw new Error(msg);
-}
-
-// Sanitize arbitrary update payloads against a whitelist and blocked keys
-function sanitizeUpdates(rawUpdates, allowedKeys, blockedKeys = ["id", "created_at"]) {
-  const updates = {};
-  for (const key of Object.keys(rawUpdates || {})) {
-    if (blockedKeys.includes(key)) continue;
-    if (allowedKeys.includes(key)) updates[key] = rawUpdates[key];
-  }
-  return updates;
-}
-
-/**
- * Insert a note with smart fallbacks for common schema diffs:
- * - company_id may be required or may not exist
- * - author vs created_by
- * - activity_date vs created_at (or absent)
- * - body vs content
- * - type might not exist
- */
-async function smartInsertNote(supabase, table, initialPayload) {
-  let payload = { ...initialPayload };
-
-  for (let attempt = 0; attempt < 8; attempt++) {
-    const { data, error } = await supabase.from(table).insert([payload]).select().single();
-    if (!error) return data;
-
-    const msg = error.message || "";
-
-    // Column present/absent permutations
-    if (/column .*company_id.* does not exist/i.test(msg)) { payload = omit(payload, "company_id"); continue; }
-    if (/null value in column .*company_id.* violates/i.test(msg)) {
-      throw new Error(`This CRM requires company_id on ${table}. Link the entity to a company or relax NOT NULL on ${table}.company_id.`);
-    }
-    if (/column .*author.* does not exist/i.test(msg) && "author" in payload) { payload = { ...omit(payload, "author"), created_by: initialPayload.author || "mcp" }; continue; }
-    if (/column .*created_by.* does not exist/i.test(msg) && "created_by" in payload) { payload = omit(payload, "created_by"); continue; }
-    if (/column .*activity_date.* does not exist/i.test(msg) && "activity_date" in payload) {
-      const when = payload.activity_date; payload = { ...omit(payload, "activity_date"), created_at: when }; continue;
-    }
-    if (/column .*created_at.* does not exist/i.test(msg) && "created_at" in payload) { payload = omit(payload, "created_at"); continue; }
-    if (/column .*body.* does not exist/i.test(msg) && "body" in payload) { const t = payload.body; payload = { ...omit(payload, "body"), content: t }; continue; }
-    if (/column .*content.* does not exist/i.test(msg) && "content" in payload) { payload = omit(payload, "content"); continue; }
-    if (/column .*type.* does not exist/i.test(msg) && "type" in payload) { payload = omit(payload, "type"); continue; }
-
-    friendlySupabaseError(table, error);
-  }
-
-  throw new Error(`Failed to insert into ${table} after multiple attempts.`);
-}
-
-async function getCompanyIdFrom(supabase, table, id) {
-  const r = await supabase.from(table).select("company_id").eq("id", id).maybeSingle();
-  if (r?.error) {
-    // If the entity table doesn't even have company_id, just ignore
-    if (/column .*company_id.* does not exist/i.test(r.error.message)) return null;
-    throw new Error(`${table} lookup failed: ${r.error.message}`);
-  }
-  return r?.data?.company_id ?? null;
-}
-
 /**
  * Register all CRM tools on the MCP server
- * @param {McpServer} server - The MCP server instance
+ * @param {McpServer} mcpServer - The MCP server instance
  * @param {Object} supabase - The Supabase client instance
+ * @param {Object} [options]
+ * @param {string[]|null} [options.allow] - Only register these tools (`*` wildcards allowed)
+ * @param {string[]|null} [options.deny] - Never register these tools
+ * @param {boolean} [options.readOnly] - Skip every write, link and unlink tool
+ * @param {boolean} [options.allowHardDelete] - Register crm_delete_* without a role policy
+ * @param {Object|null} [options.policy] - Role policy from loadRolePolicy(); null allows everything
+ * @param {string} [options.role] - Role for calls without auth info, and for deciding what to register
+ * @param {string} [options.actor] - Audit log actor for calls without auth info (STDIO)
+ * @param {string} [options.author] - Note author when a call doesn't name one
  */
-export function registerCrmTools(server, supabase) {
-  
+export function registerCrmTools(mcpServer, supabase, options = {}) {
+  // Filtered tools are never registered; every handler registered below
+  // checks the caller's role at call time and gets an audit recorder
+  const server = withAccessControl(
+    withAudit(withToolFilter(mcpServer, options), supabase, { actor: options.actor }),
+    options.policy,
+    options.role
+  );
+  const defaultAuthor = options.author || "Claude via MCP";
+
   // ---------- WRITE TOOLS ----------
 
   // 0) Generic update tools (contacts, companies, leads, deals)
@@ -111,19 +74,22 @@ export function registerCrmTools(server, supabase) {
         updates: z.record(z.any())
       }
     },
-    async ({ contact_id, updates }) => {
+    async ({ contact_id, updates }, { audit }) => {
       const allowed = [
         "first_name","last_name","email","phone","company_id","title","notes","full_name"
       ];
       const patch = sanitizeUpdates(updates, allowed);
       if (Object.keys(patch).length === 0) return ok("No valid fields to update.");
-      const { data, error } = await supabase
-        .from("contacts")
-        .update(patch)
-        .eq("id", contact_id)
-        .select()
-        .single();
-      if (error) friendlySupabaseError("contacts", error);
+      const data = await audit.write("contacts", contact_id, async () => {
+        const { data, error } = await supabase
+          .from("contacts")
+          .update(patch)
+          .eq("id", contact_id)
+          .select()
+          .single();
+        if (error) friendlySupabaseError("contacts", error);
+        return data;
+      });
       return ok(`Updated contact ${contact_id}.`, data);
     }
   );
@@ -138,19 +104,22 @@ export function registerCrmTools(server, supabase) {
         updates: z.record(z.any())
       }
     },
-    async ({ company_id, updates }) => {
+    async ({ company_id, updates }, { audit }) => {
       const allowed = [
         "name","website","phone","address","industry","notes"
       ];
       const patch = sanitizeUpdates(updates, allowed);
       if (Object.keys(patch).length === 0) return ok("No valid fields to update.");
-      const { data, error } = await supabase
-        .from("companies")
-        .update(patch)
-        .eq("id", company_id)
-        .select()
-        .single();
-      if (error) friendlySupabaseError("companies", error);
+      const data = await audit.write("companies", company_id, async () => {
+        const { data, error } = await supabase
+          .from("companies")
+          .update(patch)
+          .eq("id", company_id)
+          .select()
+          .single();
+        if (error) friendlySupabaseError("companies", error);
+        return data;
+      });
       return ok(`Updated company ${company_id}.`, data);
     }
   );
@@ -165,19 +134,22 @@ export function registerCrmTools(server, supabase) {
         updates: z.record(z.any())
       }
     },
-    async ({ lead_id, updates }) => {
+    async ({ lead_id, updates }, { audit }) => {
       const allowed = [
         "first_name","last_name","email","phone","company","source","status","message"
       ];
       const patch = sanitizeUpdates(updates, allowed);
       if (Object.keys(patch).length === 0) return ok("No valid fields to update.");
-      const { data, error } = await supabase
-        .from("leads")
-        .update(patch)
-        .eq("id", lead_id)
-        .select()
-        .single();
-      if (error) friendlySupabaseError("leads", error);
+      const data = await audit.write("leads", lead_id, async () => {
+        const { data, error } = await supabase
+          .from("leads")
+          .update(patch)
+          .eq("id", lead_id)
+          .select()
+          .single();
+        if (error) friendlySupabaseError("leads", error);
+        return data;
+      });
       return ok(`Updated lead ${lead_id}.`, data);
     }
   );
@@ -192,19 +164,23 @@ export function registerCrmTools(server, supabase) {
         updates: z.record(z.any())
       }
     },
-    async ({ deal_id, updates }) => {
+    async ({ deal_id, updates }, { audit }) => {
       const allowed = [
         "title","status","amount","stage_id","pipeline_id","company_id","contact_person_id","notes"
       ];
       const patch = sanitizeUpdates(updates, allowed);
       if (Object.keys(patch).length === 0) return ok("No valid fields to update.");
-      const { data, error } = await supabase
-        .from("deals")
-        .update(patch)
-        .eq("id", deal_id)
-        .select()
-        .single();
-      if (error) friendlySupabaseError("deals", error);
+      if (patch.stage_id) await assertStageFitsDeal(supabase, deal_id, patch.stage_id, patch.pipeline_id);
+      const data = await audit.write("deals", deal_id, async () => {
+        const { data, error } = await supabase
+          .from("deals")
+          .update(patch)
+          .eq("id", deal_id)
+          .select()
+          .single();
+        if (error) friendlySupabaseError("deals", error);
+        return data;
+      });
       return ok(`Updated deal ${deal_id}.`, data);
     }
   );
@@ -216,21 +192,18 @@ export function registerCrmTools(server, supabase) {
     {
       title: "Create contact",
       description: "Create a new contact record.",
-      inputSchema: {
-        first_name: z.string().min(1),
-        last_name: z.string().min(1),
-        email: z.string().email().optional(),
-        phone: z.string().optional(),
-        company_id: z.string().uuid().optional()
-      }
+      inputSchema: CREATE_FIELDS.contact
     },
-    async ({ first_name, last_name, email, phone, company_id }) => {
-      const { data, error } = await supabase
-        .from("contacts")
-        .insert([{ first_name, last_name, email, phone, company_id: company_id ?? null }])
-        .select()
-        .single();
-      if (error) friendlySupabaseError("contacts", error);
+    async ({ first_name, last_name, email, phone, company_id }, { audit }) => {
+      const data = await audit.write("contacts", null, async () => {
+        const { data, error } = await supabase
+          .from("contacts")
+          .insert([{ first_name, last_name, email, phone, company_id: company_id ?? null }])
+          .select()
+          .single();
+        if (error) friendlySupabaseError("contacts", error);
+        return data;
+      });
       return ok(`Created contact ${data.id} (${data.first_name} ${data.last_name}).`, data);
     }
   );
@@ -241,21 +214,19 @@ export function registerCrmTools(server, supabase) {
     {
       title: "Upsert company",
       description: "Create or update a company by name.",
-      inputSchema: {
-        name: z.string().min(1),
-        website: z.string().optional(),
-        phone: z.string().optional(),
-        address: z.string().optional()
-      }
+      inputSchema: CREATE_FIELDS.company
     },
-    async ({ name, website, phone, address }) => {
+    async ({ name, website, phone, address }, { audit }) => {
       const values = { name, website, phone, address };
+      // Snapshot by name: the upsert may update an existing company
+      const { data: before } = await supabase.from("companies").select("*").eq("name", name).maybeSingle();
       const { data, error } = await supabase
         .from("companies")
         .upsert(values, { onConflict: "name", ignoreDuplicates: false })
         .select()
         .single();
       if (error) friendlySupabaseError("companies", error);
+      await audit.record("companies", data.id, before, data);
       return ok(`Upserted company ${data.id} (${data.name}).`, data);
     }
   );
@@ -265,7 +236,7 @@ export function registerCrmTools(server, supabase) {
     "crm_update_deal",
     {
       title: "Update deal",
-      description: "Update a deal's stage and status.",
+      description: "Update a deal's stage and status. The stage must belong to the deal's pipeline (see crm_move_deal_stage to pick one by code or name).",
       inputSchema: {
         deal_id: z.string().uuid(),
         stage_id: z.string().uuid().optional(),
@@ -273,19 +244,23 @@ export function registerCrmTools(server, supabase) {
         amount: z.number().optional()
       }
     },
-    async ({ deal_id, stage_id, status, amount }) => {
+    async ({ deal_id, stage_id, status, amount }, { audit }) => {
       const patch = {};
       if (stage_id) patch.stage_id = stage_id;
       if (status) patch.status = status;
       if (amount !== undefined) patch.amount = amount;
-
-      const { data, error } = await supabase
-        .from("deals")
-        .update(patch)
-        .eq("id", deal_id)
-        .select()
-        .single();
-      if (error) friendlySupabaseError("deals", error);
+      if (stage_id) await assertStageFitsDeal(supabase, deal_id, stage_id);
+
+      const data = await audit.write("deals", deal_id, async () => {
+        const { data, error } = await supabase
+          .from("deals")
+          .update(patch)
+          .eq("id", deal_id)
+          .select()
+          .single();
+        if (error) friendlySupabaseError("deals", error);
+        return data;
+      });
       return ok(`Updated deal ${deal_id}.`, data);
     }
   );
@@ -298,10 +273,10 @@ export function registerCrmTools(server, supabase) {
       description: "Add a note to a deal.",
       inputSchema: { deal_id: z.string().uuid(), body: z.string().min(1), author: z.string().optional() }
     },
-    async ({ deal_id, body, author = "Claude via MCP" }) => {
+    async ({ deal_id, body, author = defaultAuthor }, { audit }) => {
       const company_id = await getCompanyIdFrom(supabase, "deals", deal_id);
       const base = { deal_id, body, author, type: "note", activity_date: new Date().toISOString(), ...(company_id ? { company_id } : {}) };
-      const data = await smartInsertNote(supabase, "deal_notes", base);
+      const data = await audit.write("deal_notes", null, () => smartInsertNote(supabase, "deal_notes", base));
       return ok(`Added note to deal ${deal_id}.`, data);
     }
   );
@@ -314,10 +289,10 @@ export function registerCrmTools(server, supabase) {
       description: "Add a note to a lead.",
       inputSchema: { lead_id: z.string().uuid(), body: z.string().min(1), author: z.string().optional() }
     },
-    async ({ lead_id, body, author = "Claude via MCP" }) => {
+    async ({ lead_id, body, author = defaultAuthor }, { audit }) => {
       const company_id = await getCompanyIdFrom(supabase, "leads", lead_id); // may resolve to null if column doesn't exist
       const base = { lead_id, body, author, type: "note", activity_date: new Date().toISOString(), ...(company_id ? { company_id } : {}) };
-      const data = await smartInsertNote(supabase, "lead_notes", base);
+      const data = await audit.write("lead_notes", null, () => smartInsertNote(supabase, "lead_notes", base));
       return ok(`Added note to lead ${lead_id}.`, data);
     }
   );
@@ -330,10 +305,10 @@ export function registerCrmTools(server, supabase) {
       description: "Add a note to a contact.",
       inputSchema: { contact_id: z.string().uuid(), body: z.string().min(1), author: z.string().optional() }
     },
-    async ({ contact_id, body, author = "Claude via MCP" }) => {
+    async ({ contact_id, body, author = defaultAuthor }, { audit }) => {
       const company_id = await getCompanyIdFrom(supabase, "contacts", contact_id);
       const base = { contact_id, body, author, type: "note", activity_date: new Date().toISOString(), ...(company_id ? { company_id } : {}) };
-      const data = await smartInsertNote(supabase, "contact_notes", base);
+      const data = await audit.write("contact_notes", null, () => smartInsertNote(supabase, "contact_notes", base));
       return ok(`Added note to contact ${contact_id}.`, data);
     }
   );
@@ -346,9 +321,9 @@ export function registerCrmTools(server, supabase) {
       description: "Add a note to a company.",
       inputSchema: { company_id: z.string().uuid(), body: z.string().min(1), author: z.string().optional() }
     },
-    async ({ company_id, body, author = "Claude via MCP" }) => {
+    async ({ company_id, body, author = defaultAuthor }, { audit }) => {
       const base = { company_id, body, author, type: "note", activity_date: new Date().toISOString() };
-      const data = await smartInsertNote(supabase, "company_notes", base);
+      const data = await audit.write("company_notes", null, () => smartInsertNote(supabase, "company_notes", base));
       return ok(`Added note to company ${company_id}.`, data);
     }
   );
@@ -366,10 +341,10 @@ export function registerCrmTools(server, supabase) {
         author: z.string().optional()
       }
     },
-    async ({ entity_type, entity_id, body, author = "Claude via MCP" }) => {
+    async ({ entity_type, entity_id, body, author = defaultAuthor }, { audit }) => {
       if (entity_type === "company") {
         const base = { company_id: entity_id, body, author, type: "note", activity_date: new Date().toISOString() };
-        const data = await smartInsertNote(supabase, "company_notes", base);
+        const data = await audit.write("company_notes", null, () => smartInsertNote(supabase, "company_notes", base));
         return ok(`Added note to company ${entity_id}.`, data);
       }
 
@@ -387,7 +362,7 @@ export function registerCrmTools(server, supabase) {
       };
 
       const table = `${entity_type}_notes`; // contact_notes / deal_notes / lead_notes
-      const data = await smartInsertNote(supabase, table, base);
+      const data = await audit.write(table, null, () => smartInsertNote(supabase, table, base));
       return ok(`Added note to ${entity_type} ${entity_id}.`, data);
     }
   );
@@ -400,33 +375,27 @@ export function registerCrmTools(server, supabase) {
     {
       title: "Create lead",
       description: "Create a new lead record.",
-      inputSchema: {
-        first_name: z.string().min(1),
-        last_name: z.string().min(1),
-        email: z.string().email().optional(),
-        phone: z.string().optional(),
-        company: z.string().optional(),
-        source: z.string().optional(),
-        status: z.string().optional(),
-        message: z.string().optional()
-      }
+      inputSchema: CREATE_FIELDS.lead
     },
-    async ({ first_name, last_name, email, phone, company, source, status, message }) => {
-      const { data, error } = await supabase
-        .from("leads")
-        .insert([{
-          first_name,
-          last_name,
-          email,
-          phone,
-          company,
-          source: source ?? "mcp",
-          status: status ?? "new",
-          message
-        }])
-        .select()
-        .single();
-      if (error) friendlySupabaseError("leads", error);
+    async ({ first_name, last_name, email, phone, company, source, status, message }, { audit }) => {
+      const data = await audit.write("leads", null, async () => {
+        const { data, error } = await supabase
+          .from("leads")
+          .insert([{
+            first_name,
+            last_name,
+            email,
+            phone,
+            company,
+            source: source ?? "mcp",
+            status: status ?? "new",
+            message
+          }])
+          .select()
+          .single();
+        if (error) friendlySupabaseError("leads", error);
+        return data;
+      });
       return ok(`Created lead ${data.id} (${data.first_name} ${data.last_name}).`, data);
     }
   );
@@ -442,14 +411,17 @@ export function registerCrmTools(server, supabase) {
         status: z.string().min(1)
       }
     },
-    async ({ lead_id, status }) => {
-      const { data, error } = await supabase
-        .from("leads")
-        .update({ status })
-        .eq("id", lead_id)
-        .select()
-        .single();
-      if (error) friendlySupabaseError("leads", error);
+    async ({ lead_id, status }, { audit }) => {
+      const data = await audit.write("leads", lead_id, async () => {
+        const { data, error } = await supabase
+          .from("leads")
+          .update({ status })
+          .eq("id", lead_id)
+          .select()
+          .single();
+        if (error) friendlySupabaseError("leads", error);
+        return data;
+      });
       return ok(`Updated lead ${lead_id} status to "${data.status}".`, data);
     }
   );
@@ -459,18 +431,20 @@ export function registerCrmTools(server, supabase) {
     "crm_search_contacts",
     {
       title: "Search contacts",
-      description: "Search for contacts by name or email.",
+      description: "Search for contacts by name or email. Archived records are excluded unless include_archived is true.",
+      annotations: { readOnlyHint: true },
       inputSchema: {
         query: z.string().min(1),
-        limit: z.number().min(1).max(100).optional()
+        limit: z.number().min(1).max(100).optional(),
+        include_archived: z.boolean().optional()
       }
     },
-    async ({ query, limit = 10 }) => {
-      const { data, error } = await supabase
+    async ({ query, limit = 10, include_archived = false }) => {
+      const { data, error } = await queryActive(active => active(supabase
         .from("contacts")
         .select("*")
-        .or(`first_name.ilike.%${query}%,last_name.ilike.%${query}%,email.ilike.%${query}%`)
-        .limit(limit);
+        .or(ilikeAny(["first_name", "last_name", "email"], query)))
+        .limit(limit), include_archived);
       if (error) friendlySupabaseError("contacts", error);
       return ok(`Found ${data.length} contacts matching "${query}".`, data);
     }
@@ -481,18 +455,20 @@ export function registerCrmTools(server, supabase) {
     "crm_search_companies",
     {
       title: "Search companies",
-      description: "Search for companies by name.",
+      description: "Search for companies by name. Archived records are excluded unless include_archived is true.",
+      annotations: { readOnlyHint: true },
       inputSchema: {
         query: z.string().min(1),
-        limit: z.number().min(1).max(100).optional()
+        limit: z.number().min(1).max(100).optional(),
+        include_archived: z.boolean().optional()
       }
     },
-    async ({ query, limit = 10 }) => {
-      const { data, error } = await supabase
+    async ({ query, limit = 10, include_archived = false }) => {
+      const { data, error } = await queryActive(active => active(supabase
         .from("companies")
         .select("*")
-        .ilike("name", `%${query}%`)
-        .limit(limit);
+        .ilike("name", likePattern(query)))
+        .limit(limit), include_archived);
       if (error) friendlySupabaseError("companies", error);
       return ok(`Found ${data.length} companies matching "${query}".`, data);
     }
@@ -503,17 +479,16 @@ export function registerCrmTools(server, supabase) {
     "crm_search_deals",
     {
       title: "Search deals",
-      description: "Search for deals by title, company, or contact person.",
+      description: "Search for deals by title, company, or contact person. Archived records are excluded unless include_archived is true.",
+      annotations: { readOnlyHint: true },
       inputSchema: {
         query: z.string().min(1),
-        limit: z.number().min(1).max(100).optional()
+        limit: z.number().min(1).max(100).optional(),
+        include_archived: z.boolean().optional()
       }
     },
-    async ({ query, limit = 10 }) => {
-      // Escape special characters in the query to prevent SQL injection
-      const escapedQuery = query.replace(/[%_\\]/g, '\\$&');
-
-      const { data, error } = await supabase
+    async ({ query, limit = 10, include_archived = false }) => {
+      const { data, error } = await queryActive(active => active(supabase
         .from("deals")
         .select(`
           *,
@@ -522,17 +497,17 @@ export function registerCrmTools(server, supabase) {
           pipeline_stages:stage_id (id, code, name, pipeline_id),
           pipelines!deals_pipeline_id_fkey (id, code, name)
         `)
-        .or(`title.ilike.%${escapedQuery}%,companies.name.ilike.%${escapedQuery}%,contacts.full_name.ilike.%${escapedQuery}%`)
-        .limit(limit);
+        .or(ilikeAny(["title", "companies.name", "contacts.full_name"], query)))
+        .limit(limit), include_archived);
 
       if (error) {
         // If the complex query fails, try a simpler approach
         if (error.message.includes('relation') || error.message.includes('column')) {
-          const { data: simpleData, error: simpleError } = await supabase
+          const { data: simpleData, error: simpleError } = await queryActive(active => active(supabase
             .from("deals")
             .select("*, companies!deals_company_id_fkey (id, name)")
-            .ilike("title", `%${escapedQuery}%`)
-            .limit(limit);
+            .ilike("title", likePattern(query)))
+            .limit(limit), include_archived);
 
           if (simpleError) friendlySupabaseError("deals", simpleError);
           return ok(`Found ${simpleData.length} deals matching "${query}".`, simpleData);
@@ -549,18 +524,20 @@ export function registerCrmTools(server, supabase) {
     "crm_search_leads",
     {
       title: "Search leads",
-      description: "Search for leads by name, email, or company.",
+      description: "Search for leads by name, email, or company. Archived records are excluded unless include_archived is true.",
+      annotations: { readOnlyHint: true },
       inputSchema: {
         query: z.string().min(1),
-        limit: z.number().min(1).max(100).optional()
+        limit: z.number().min(1).max(100).optional(),
+        include_archived: z.boolean().optional()
       }
     },
-    async ({ query, limit = 10 }) => {
-      const { data, error } = await supabase
+    async ({ query, limit = 10, include_archived = false }) => {
+      const { data, error } = await queryActive(active => active(supabase
         .from("leads")
         .select("*")
-        .or(`first_name.ilike.%${query}%,last_name.ilike.%${query}%,email.ilike.%${query}%,company.ilike.%${query}%`)
-        .limit(limit);
+        .or(ilikeAny(["first_name", "last_name", "email", "company"], query)))
+        .limit(limit), include_archived);
       if (error) friendlySupabaseError("leads", error);
       return ok(`Found ${data.length} leads matching "${query}".`, data);
     }
@@ -572,6 +549,7 @@ export function registerCrmTools(server, supabase) {
     {
       title: "Get deals by contact",
       description: "Get all deals associated with a specific contact ID.",
+      annotations: { readOnlyHint: true },
       inputSchema: {
         contact_id: z.string().uuid(),
         limit: z.number().min(1).max(100).optional()
@@ -624,6 +602,7 @@ export function registerCrmTools(server, supabase) {
     {
       title: "Get contact deal associations",
       description: "Get detailed information about how a contact is associated with deals.",
+      annotations: { readOnlyHint: true },
       inputSchema: {
         contact_id: z.string().uuid()
       }
@@ -674,20 +653,22 @@ export function registerCrmTools(server, supabase) {
         reason: z.string().optional()
       }
     },
-    async ({ deal_id, status = "cancelled", reason }) => {
+    async ({ deal_id, status = "cancelled", reason }, { audit }) => {
       const updateData = { status };
       if (reason) {
         updateData.notes = reason;
       }
 
-      const { data, error } = await supabase
-        .from("deals")
-        .update(updateData)
-        .eq("id", deal_id)
-        .select()
-        .single();
-
-      if (error) friendlySupabaseError("deals", error);
+      const data = await audit.write("deals", deal_id, async () => {
+        const { data, error } = await supabase
+          .from("deals")
+          .update(updateData)
+          .eq("id", deal_id)
+          .select()
+          .single();
+        if (error) friendlySupabaseError("deals", error);
+        return data;
+      });
 
       const message = reason
         ? `Deal ${deal_id} moved to ${status} status. Reason: ${reason}`
@@ -703,6 +684,7 @@ export function registerCrmTools(server, supabase) {
     {
       title: "List contact deals",
       description: "List all deals for a specific contact (alias for crm_get_deals_by_contact).",
+      annotations: { readOnlyHint: true },
       inputSchema: {
         contact_id: z.string().uuid(),
         limit: z.number().min(1).max(100).optional()
@@ -756,14 +738,17 @@ export function registerCrmTools(server, supabase) {
         company_id: z.string().uuid()
       }
     },
-    async ({ contact_id, company_id }) => {
-      const { data, error } = await supabase
-        .from("contacts")
-        .update({ company_id })
-        .eq("id", contact_id)
-        .select()
-        .single();
-      if (error) friendlySupabaseError("contacts", error);
+    async ({ contact_id, company_id }, { audit }) => {
+      const data = await audit.write("contacts", contact_id, async () => {
+        const { data, error } = await supabase
+          .from("contacts")
+          .update({ company_id })
+          .eq("id", contact_id)
+          .select()
+          .single();
+        if (error) friendlySupabaseError("contacts", error);
+        return data;
+      });
       return ok(`Linked contact ${contact_id} to company ${company_id}.`, data);
     }
   );
@@ -778,14 +763,17 @@ export function registerCrmTools(server, supabase) {
         contact_id: z.string().uuid()
       }
     },
-    async ({ contact_id }) => {
-      const { data, error } = await supabase
-        .from("contacts")
-        .update({ company_id: null })
-        .eq("id", contact_id)
-        .select()
-        .single();
-      if (error) friendlySupabaseError("contacts", error);
+    async ({ contact_id }, { audit }) => {
+      const data = await audit.write("contacts", contact_id, async () => {
+        const { data, error } = await supabase
+          .from("contacts")
+          .update({ company_id: null })
+          .eq("id", contact_id)
+          .select()
+          .single();
+        if (error) friendlySupabaseError("contacts", error);
+        return data;
+      });
       return ok(`Unlinked contact ${contact_id} from any company.`, data);
     }
   );
@@ -803,7 +791,7 @@ export function registerCrmTools(server, supabase) {
         role_at_deal: z.string().optional()
       }
     },
-    async ({ contact_id, deal_id, is_main_contact = false, role_at_deal }) => {
+    async ({ contact_id, deal_id, is_main_contact = false, role_at_deal }, { audit }) => {
       // Try insert; if table missing, fallback to updating contact_person_id on deals
       const { data, error } = await supabase
         .from("deal_contacts")
@@ -813,17 +801,21 @@ export function registerCrmTools(server, supabase) {
 
       if (error) {
         if (/relation.*deal_contacts.*does not exist/i.test(error.message)) {
-          const { data: deal, error: dErr } = await supabase
-            .from("deals")
-            .update({ contact_person_id: contact_id })
-            .eq("id", deal_id)
-            .select()
-            .single();
-          if (dErr) friendlySupabaseError("deals", dErr);
+          const deal = await audit.write("deals", deal_id, async () => {
+            const { data: deal, error: dErr } = await supabase
+              .from("deals")
+              .update({ contact_person_id: contact_id })
+              .eq("id", deal_id)
+              .select()
+              .single();
+            if (dErr) friendlySupabaseError("deals", dErr);
+            return deal;
+          });
           return ok(`Linked contact ${contact_id} to deal ${deal_id} (via deals.contact_person_id).`, deal);
         }
         friendlySupabaseError("deal_contacts", error);
       }
+      await audit.record("deal_contacts", data?.id ?? `${contact_id}:${deal_id}`, null, data);
       return ok(`Linked contact ${contact_id} to deal ${deal_id}.`, data);
     }
   );
@@ -839,14 +831,17 @@ export function registerCrmTools(server, supabase) {
         deal_id: z.string().uuid()
       }
     },
-    async ({ company_id, deal_id }) => {
-      const { data, error } = await supabase
-        .from("deals")
-        .update({ company_id })
-        .eq("id", deal_id)
-        .select()
-        .single();
-      if (error) friendlySupabaseError("deals", error);
+    async ({ company_id, deal_id }, { audit }) => {
+      const data = await audit.write("deals", deal_id, async () => {
+        const { data, error } = await supabase
+          .from("deals")
+          .update({ company_id })
+          .eq("id", deal_id)
+          .select()
+          .single();
+        if (error) friendlySupabaseError("deals", error);
+        return data;
+      });
       return ok(`Linked company ${company_id} to deal ${deal_id}.`, data);
     }
   );
@@ -862,17 +857,19 @@ export function registerCrmTools(server, supabase) {
         deal_id: z.string().uuid()
       }
     },
-    async ({ contact_id, deal_id }) => {
-      // Prefer junction table deletion when present
+    async ({ contact_id, deal_id }, { audit }) => {
+      // Prefer junction table deletion when present; select() returns the deleted rows
       const del = await supabase
         .from("deal_contacts")
         .delete()
         .eq("contact_id", contact_id)
-        .eq("deal_id", deal_id);
+        .eq("deal_id", deal_id)
+        .select();
 
       if (del.error) {
         if (/relation.*deal_contacts.*does not exist/i.test(del.error.message)) {
           // Fallback: clear deals.contact_person_id if it matches
+          const before = await audit.fetchRow("deals", deal_id);
           const { data: deal, error: dErr } = await supabase
             .from("deals")
             .update({ contact_person_id: null })
@@ -881,11 +878,15 @@ export function registerCrmTools(server, supabase) {
             .select()
             .maybeSingle();
           if (dErr) friendlySupabaseError("deals", dErr);
+          if (deal) await audit.record("deals", deal_id, before, deal);
           return ok(`Unlinked contact ${contact_id} from deal ${deal_id} (fallback).`, deal || null);
         }
         friendlySupabaseError("deal_contacts", del.error);
       }
 
+      for (const row of del.data || []) {
+        await audit.record("deal_contacts", row.id ?? `${contact_id}:${deal_id}`, row, null);
+      }
       return ok(`Unlinked contact ${contact_id} from deal ${deal_id}.`);
     }
   );
@@ -900,15 +901,126 @@ export function registerCrmTools(server, supabase) {
         deal_id: z.string().uuid()
       }
     },
-    async ({ deal_id }) => {
-      const { data, error } = await supabase
-        .from("deals")
-        .update({ company_id: null })
-        .eq("id", deal_id)
-        .select()
-        .single();
-      if (error) friendlySupabaseError("deals", error);
+    async ({ deal_id }, { audit }) => {
+      const data = await audit.write("deals", deal_id, async () => {
+        const { data, error } = await supabase
+          .from("deals")
+          .update({ company_id: null })
+          .eq("id", deal_id)
+          .select()
+          .single();
+        if (error) friendlySupabaseError("deals", error);
+        return data;
+      });
       return ok(`Unlinked company from deal ${deal_id}.`, data);
     }
   );
+
+  // ---------- QUERY ----------
+
+  registerQueryTools(server, supabase);
+  registerGlobalSearchTools(server, supabase);
+
+  // ---------- RECORD VIEWS ----------
+
+  registerRecordViewTools(server, supabase);
+
+  // ---------- NOTES / TIMELINE ----------
+
+  registerNoteTools(server, supabase);
+
+  // ---------- TASKS ----------
+
+  registerTaskTools(server, supabase, { author: defaultAuthor, actor: options.actor });
+
+  // ---------- LEAD CONVERSION ----------
+
+  registerLeadConversionTools(server, supabase);
+
+  // ---------- PIPELINES / STAGES ----------
+
+  registerPipelineTools(server, supabase);
+  registerDealHistoryTools(server, supabase);
+
+  // ---------- IMPORT / EXPORT ----------
+
+  registerImportTools(server, supabase);
+  registerExportTools(server, supabase);
+  registerVcardTools(server, supabase);
+
+  // ---------- DUPLICATES ----------
+
+  registerDuplicateTools(server, supabase);
+
+  // ---------- ARCHIVE / DELETE ----------
+
+  registerArchiveTools(server, supabase, { hardDelete: !!options.policy || !!options.allowHardDelete });
+
+  // ---------- AUDIT ----------
+
+  server.registerTool(
+    "crm_get_audit_trail",
+    {
+      title: "Get audit trail",
+      description: "List recorded CRM writes (newest first) for a record, an actor, a tool, or a time range. Entries for record types outside the caller's role are left out.",
+      annotations: { readOnlyHint: true },
+      inputSchema: {
+        table: z.string().optional(),
+        record_id: z.string().optional(),
+        actor: z.string().optional(),
+        tool: z.string().optional(),
+        since: z.string().datetime({ offset: true }).optional(),
+        until: z.string().datetime({ offset: true }).optional(),
+        limit: z.number().min(1).max(500).optional()
+      }
+    },
+    async ({ table, record_id, actor, tool, since, until, limit = 50 }, extra) => {
+      let q = supabase.from(AUDIT_TABLE).select("*");
+      // Entries hold before/after snapshots, so a role limited to some entity types sees only theirs
+      if (extra?.entities) q = q.in("table_name", visibleAuditTables(extra.entities));
+      if (table) q = q.eq("table_name", table);
+      if (record_id) q = q.eq("record_id", record_id);
+      if (actor) q = q.eq("actor", actor);
+      if (tool) q = q.eq("tool", tool);
+      if (since) q = q.gte("created_at", since);
+      if (until) q = q.lt("created_at", until);
+
+      const { data, error } = await q.order("created_at", { ascending: false }).limit(limit);
+      if (error) {
+        if (/relation.*crm_audit_log.*does not exist/i.test(error.message)) {
+          throw new Error(`Audit table "${AUDIT_TABLE}" not found. Apply supabase/migrations to create it.`);
+        }
+        friendlySupabaseError(AUDIT_TABLE, error);
+      }
+      const entries = extra?.entities ? data.filter(entry => isAuditEntryVisible(entry, extra.entities)) : data;
+      const hidden = data.length - entries.length;
+      return ok(`Found ${entries.length} audit entries${hidden ? ` (${hidden} task ${hidden === 1 ? "entry" : "entries"} for records your role may not see left out)` : ""}.`, entries);
+    }
+  );
+}
+
+/**
+ * Describe every CRM tool by replaying registerCrmTools against a recording
+ * server, so listings can never drift from the actual registrations.
+ * Input schemas are converted exactly like the SDK does for tools/list.
+ * @param {Object} [options] - Same options as registerCrmTools
+ * @returns {{ name: string, title?: string, description?: string, inputSchema: Object, annotations?: { readOnlyHint?: boolean } }[]}
+ */
+export function listCrmTools(options = {}) {
+  const tools = [];
+  const recorder = {
+    registerTool: (name, { title, description, inputSchema, annotations }) => {
+      tools.push({
+        name,
+        title,
+        description,
+        inputSchema: inputSchema
+          ? zodToJsonSchema(z.object(inputSchema), { strictUnions: true })
+          : { type: "object" },
+        ...(annotations ? { annotations } : {})
+      });
+    }
+  };
+  registerCrmTools(recorder, null, options);
+  return tools;
 }
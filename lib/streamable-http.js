@@ -0,0 +1,99 @@
+/**
+ * Bridge between Web-standard Request/Response (Next.js route handlers) and
+ * the MCP SDK's StreamableHTTPServerTransport, which expects Node's
+ * IncomingMessage/ServerResponse pair.
+ *
+ * Only the handful of ServerResponse methods the transport actually calls are
+ * implemented: writeHead, flushHeaders, write, end and on("close").
+ */
+
+class ResponseBridge {
+  constructor() {
+    this.statusCode = 200;
+    this.headers = new Headers();
+    this.headersSent = false;
+    this.finished = false;
+    this._closeListeners = [];
+
+    this.body = new ReadableStream({
+      start: (controller) => { this._controller = controller; },
+      cancel: () => this._close()
+    });
+
+    this.ready = new Promise((resolve) => { this._resolveReady = resolve; });
+  }
+
+  writeHead(status, headers = {}) {
+    this.statusCode = status;
+    for (const [key, value] of Object.entries(headers)) {
+      if (value !== undefined) this.headers.set(key, String(value));
+    }
+    return this;
+  }
+
+  flushHeaders() {
+    if (this.headersSent) return this;
+    this.headersSent = true;
+    // 202/204-style responses must not carry a body
+    const body = this.statusCode === 202 || this.statusCode === 204 ? null : this.body;
+    this._resolveReady(new Response(body, { status: this.statusCode, headers: this.headers }));
+    // Next.js holds response headers until the first body chunk; an SSE
+    // comment releases them without clients seeing an event.
+    if (this.headers.get("content-type") === "text/event-stream") {
+      this._controller.enqueue(new TextEncoder().encode(": stream open\n\n"));
+    }
+    return this;
+  }
+
+  write(chunk) {
+    if (this.finished) return false;
+    this.flushHeaders();
+    this._controller.enqueue(typeof chunk === "string" ? new TextEncoder().encode(chunk) : chunk);
+    return true;
+  }
+
+  end(chunk) {
+    if (this.finished) return this;
+    if (chunk !== undefined && chunk !== null) this.write(chunk);
+    this.flushHeaders();
+    this.finished = true;
+    try { this._controller.close(); } catch { /* stream already cancelled */ }
+    this._close();
+    return this;
+  }
+
+  on(event, listener) {
+    if (event === "close") this._closeListeners.push(listener);
+    return this;
+  }
+
+  _close() {
+    const listeners = this._closeListeners;
+    this._closeListeners = [];
+    for (const listener of listeners) listener();
+  }
+}
+
+/**
+ * Hand a Web Request to a StreamableHTTPServerTransport and return the
+ * Web Response it produces. SSE responses stream as the transport writes.
+ *
+ * @param {import("@modelcontextprotocol/sdk/server/streamableHttp.js").StreamableHTTPServerTransport} transport
+ * @param {Request} request - The incoming request
+ * @param {unknown} [parsedBody] - Already-parsed JSON body for POST requests
+ * @param {import("@modelcontextprotocol/sdk/server/auth/types.js").AuthInfo} [authInfo] - Verified caller, exposed to tools as `extra.authInfo`
+ * @returns {Promise<Response>}
+ */
+export async function handleStreamableHttp(transport, request, parsedBody, authInfo) {
+  const headers = {};
+  request.headers.forEach((value, key) => { headers[key] = value; });
+
+  const req = { method: request.method, url: request.url, headers, auth: authInfo };
+  const res = new ResponseBridge();
+
+  // Client went away: let the transport drop its stream mapping
+  request.signal?.addEventListener("abort", () => res._close());
+
+  await transport.handleRequest(req, res, parsedBody);
+  return res.ready;
+}
@@ -0,0 +1,263 @@
+import { z } from "zod";
+import { actorFrom } from "./audit.js";
+import {
+  ok,
+  friendlySupabaseError,
+  smartInsertNote,
+  getCompanyIdFrom,
+  likeEscape,
+  ENTITY_TABLES,
+  NOTE_TABLES,
+  isMissingRelation
+} from "./crm-helpers.js";
+
+/**
+ * Follow-up tasks ("call Dr. Meier back next Tuesday"), each optionally
+ * linked to one contact, company, deal or lead through contact_id,
+ * company_id, deal_id or lead_id (see supabase/migrations/*_tasks.sql).
+ *
+ * Tasks have a due date rather than a time; "today" and "overdue" are
+ * judged in `time_zone`, by default the server's.
+ */
+
+export const TASKS_TABLE = "tasks";
+
+const PRIORITIES = ["low", "normal", "high", "urgent"];
+
+// Round-trip check: Date rolls 2026-02-31 over to March instead of rejecting it
+const dueDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Use YYYY-MM-DD")
+  .refine(d => {
+    const date = new Date(`${d}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === d;
+  }, "Not a valid date");
+
+const timeZone = z.string().refine(tz => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}, "Unknown IANA time zone");
+
+// YYYY-MM-DD of today in the given time zone
+function todayIn(tz) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: tz, year: "numeric", month: "2-digit", day: "2-digit" }).format(new Date());
+}
+
+function tasksError(error) {
+  if (isMissingRelation(error, TASKS_TABLE)) {
+    throw new Error(`Table "${TASKS_TABLE}" not found. Apply supabase/migrations to create it.`);
+  }
+  friendlySupabaseError(TASKS_TABLE, error);
+}
+
+// The entity a task is linked to, as { entity, id }, or null
+function taskLink(task) {
+  const entity = Object.keys(ENTITY_TABLES).find(e => task[`${e}_id`]);
+  return entity ? { entity, id: task[`${entity}_id`] } : null;
+}
+
+// Entity types a task links to that a role limited to `entities` may not access
+function blockedLinks(task, entities) {
+  if (!entities) return [];
+  return Object.keys(ENTITY_TABLES).filter(e => task[`${e}_id`] && !entities.includes(e));
+}
+
+// Tool names don't say which records a task belongs to, so check its links
+function assertTaskAllowed(task, entities) {
+  const blocked = blockedLinks(task, entities);
+  if (blocked.length) throw new Error(`Access denied: task ${task.id} is linked to ${blocked.join(", ")} records your role may not access.`);
+}
+
+async function fetchTask(supabase, id) {
+  const { data, error } = await supabase.from(TASKS_TABLE).select("*").eq("id", id).maybeSingle();
+  if (error) tasksError(error);
+  if (!data) throw new Error(`No task with id ${id}.`);
+  return data;
+}
+
+async function updateTask(supabase, audit, id, patch) {
+  return audit.write(TASKS_TABLE, id, async () => {
+    const { data, error } = await supabase
+      .from(TASKS_TABLE)
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .select()
+      .single();
+    if (error) tasksError(error);
+    return data;
+  });
+}
+
+/**
+ * Register crm_create_task, crm_complete_task, crm_list_tasks and crm_reschedule_task.
+ * @param {Object} server - MCP server (or the wrapped facade from registerCrmTools)
+ * @param {Object} supabase - The Supabase client instance
+ * @param {{ author?: string, actor?: string }} [options] - note author for
+ *   completion notes; fallback actor recorded as the task's created_by
+ */
+export function registerTaskTools(server, supabase, { author = "Claude via MCP", actor } = {}) {
+  server.registerTool(
+    "crm_create_task",
+    {
+      title: "Create task",
+      description: "Create a follow-up task with an optional due date (YYYY-MM-DD), assignee and priority, optionally linked to a contact, company, deal or lead (entity_type + entity_id).",
+      inputSchema: {
+        title: z.string().min(1),
+        description: z.string().optional(),
+        entity_type: z.enum(["contact", "company", "deal", "lead"]).optional(),
+        entity_id: z.string().uuid().optional(),
+        due_date: dueDate.optional(),
+        assignee: z.string().min(1).optional(),
+        priority: z.enum(PRIORITIES).optional()
+      }
+    },
+    async ({ title, description, entity_type, entity_id, due_date, assignee, priority = "normal" }, extra) => {
+      if (!!entity_type !== !!entity_id) throw new Error("Pass entity_type and entity_id together.");
+      if (entity_type) {
+        const table = ENTITY_TABLES[entity_type];
+        const { data, error } = await supabase.from(table).select("id").eq("id", entity_id).maybeSingle();
+        if (error) friendlySupabaseError(table, error);
+        if (!data) throw new Error(`No ${entity_type} with id ${entity_id}.`);
+      }
+
+      const values = {
+        title,
+        description: description ?? null,
+        due_date: due_date ?? null,
+        assignee: assignee ?? null,
+        priority,
+        status: "open",
+        created_by: actorFrom(extra, actor),
+        ...(entity_type ? { [`${entity_type}_id`]: entity_id } : {})
+      };
+      const data = await extra.audit.write(TASKS_TABLE, null, async () => {
+        const { data, error } = await supabase.from(TASKS_TABLE).insert([values]).select().single();
+        if (error) tasksError(error);
+        return data;
+      });
+      return ok(`Created task "${title}"${due_date ? ` due ${due_date}` : ""}.`, data);
+    }
+  );
+
+  server.registerTool(
+    "crm_complete_task",
+    {
+      title: "Complete task",
+      description: "Mark an open task done. With log_note (or a note text), also write a note about it to the linked record's notes.",
+      inputSchema: {
+        task_id: z.string().uuid(),
+        log_note: z.boolean().optional(),
+        note: z.string().min(1).optional()
+      }
+    },
+    async ({ task_id, log_note, note }, { audit, entities }) => {
+      const task = await fetchTask(supabase, task_id);
+      assertTaskAllowed(task, entities);
+      if (task.status !== "open") throw new Error(`Task ${task_id} is already ${task.status}.`);
+      const writeNote = log_note ?? !!note;
+      const link = taskLink(task);
+      if (writeNote && !link) throw new Error(`Task ${task_id} isn't linked to a record, so there is nowhere to write the note.`);
+
+      const complete = () => updateTask(supabase, audit, task_id, { status: "done", completed_at: new Date().toISOString() });
+      if (!writeNote) return ok(`Completed task "${task.title}".`, await complete());
+
+      // Note first: if it can't be written, the task stays open and the call can simply be retried
+      const { table, column } = NOTE_TABLES[link.entity];
+      const company_id = link.entity === "company" ? null : await getCompanyIdFrom(supabase, ENTITY_TABLES[link.entity], link.id);
+      const base = {
+        [column]: link.id,
+        body: note ? `Completed task: ${task.title}\n\n${note}` : `Completed task: ${task.title}`,
+        author,
+        type: "task",
+        activity_date: new Date().toISOString(),
+        ...(company_id ? { company_id } : {})
+      };
+      const noteRow = await audit.write(table, null, () => smartInsertNote(supabase, table, base));
+      let data;
+      try {
+        data = await complete();
+      } catch (e) {
+        throw new Error(`Added note ${noteRow?.id} to ${link.entity} ${link.id}, but could not mark task ${task_id} done: ${e.message.replace(/\.?$/, ".")} Complete it again without log_note or note.`);
+      }
+      return ok(`Completed task "${task.title}" and added a note to ${link.entity} ${link.id}.`, { task: data, note: noteRow });
+    }
+  );
+
+  server.registerTool(
+    "crm_list_tasks",
+    {
+      title: "List tasks",
+      description: "List tasks, soonest due first. Filter by status (default open), due (overdue = open and past due, today or upcoming, judged in time_zone), assignee, priority, or linked record (entity_type + entity_id). Tasks linked to record types the caller's role may not see are left out.",
+      annotations: { readOnlyHint: true },
+      inputSchema: {
+        status: z.enum(["open", "done", "cancelled", "all"]).optional(),
+        due: z.enum(["overdue", "today", "upcoming"]).optional(),
+        assignee: z.string().min(1).optional(),
+        priority: z.enum(PRIORITIES).optional(),
+        entity_type: z.enum(["contact", "company", "deal", "lead"]).optional(),
+        entity_id: z.string().uuid().optional(),
+        time_zone: timeZone.optional(),
+        limit: z.number().int().min(1).max(100).optional(),
+        offset: z.number().int().min(0).optional()
+      }
+    },
+    async ({ status = "open", due, assignee, priority, entity_type, entity_id, time_zone, limit = 50, offset = 0 }, extra) => {
+      if (entity_id && !entity_type) throw new Error("entity_id needs entity_type as well.");
+      const today = todayIn(time_zone || Intl.DateTimeFormat().resolvedOptions().timeZone);
+
+      let q = supabase.from(TASKS_TABLE).select("*", { count: "exact" });
+      // Only open tasks can be overdue
+      if (due === "overdue") q = q.eq("status", "open");
+      else if (status !== "all") q = q.eq("status", status);
+      if (due === "overdue") q = q.lt("due_date", today);
+      if (due === "today") q = q.eq("due_date", today);
+      if (due === "upcoming") q = q.gt("due_date", today);
+      if (assignee) q = q.ilike("assignee", likeEscape(assignee));
+      if (priority) q = q.eq("priority", priority);
+      if (entity_type) {
+        const column = `${entity_type}_id`;
+        q = entity_id ? q.eq(column, entity_id) : q.not(column, "is", null);
+      }
+      // A role with `entities` only gets tasks that link to nothing else
+      const hidden = extra?.entities ? Object.keys(ENTITY_TABLES).filter(e => !extra.entities.includes(e)) : [];
+      for (const entity of hidden) q = q.is(`${entity}_id`, null);
+
+      const { data, count, error } = await q
+        .order("due_date", { ascending: true, nullsFirst: false })
+        .order("created_at", { ascending: true })
+        .range(offset, offset + limit - 1);
+      if (error) tasksError(error);
+
+      const items = (data || []).map(t => ({
+        ...t,
+        linked_to: taskLink(t),
+        overdue: t.status === "open" && !!t.due_date && t.due_date < today
+      }));
+      return ok(`Found ${count ?? items.length} tasks, showing ${items.length} (today is ${today}).`, {
+        ...(hidden.length ? { hidden_entities: hidden } : {}),
+        items
+      });
+    }
+  );
+
+  server.registerTool(
+    "crm_reschedule_task",
+    {
+      title: "Reschedule task",
+      description: "Move an open task to a new due date (YYYY-MM-DD), or clear it with null.",
+      inputSchema: {
+        task_id: z.string().uuid(),
+        due_date: dueDate.nullable()
+      }
+    },
+    async ({ task_id, due_date }, { audit, entities }) => {
+      const task = await fetchTask(supabase, task_id);
+      assertTaskAllowed(task, entities);
+      if (task.status !== "open") throw new Error(`Task ${task_id} is ${task.status}; only open tasks can be rescheduled.`);
+      const data = await updateTask(supabase, audit, task_id, { due_date });
+      return ok(`Task "${task.title}" ${due_date ? `is now due ${due_date}` : "no longer has a due date"}${task.due_date ? ` (was ${task.due_date})` : ""}.`, data);
+    }
+  );
+}
@@ -0,0 +1,49 @@
+import { matchesToolPattern } from "./access-control.js";
+
+/**
+ * Which tools a server exposes at all, regardless of who calls it.
+ *
+ * - allow: only these tools (names, `*` wildcards)
+ * - deny: never these tools
+ * - readOnly: drop every tool not annotated `readOnlyHint: true`,
+ *   i.e. all write, link and unlink tools
+ *
+ * Filtered tools are not registered, so they can neither be listed nor called.
+ */
+
+export function parseCsv(value) {
+  if (!value) return null;
+  const list = value.split(",").map(s => s.trim()).filter(Boolean);
+  return list.length ? list : null;
+}
+
+/**
+ * Tool options from MCP_ALLOW_TOOLS, MCP_DENY_TOOLS, MCP_READ_ONLY and
+ * MCP_ALLOW_HARD_DELETE, shared by the STDIO and HTTP servers.
+ */
+export function toolOptionsFromEnv(env = process.env) {
+  return {
+    allow: parseCsv(env.MCP_ALLOW_TOOLS),
+    deny: parseCsv(env.MCP_DENY_TOOLS),
+    readOnly: /^(1|true|yes)$/i.test(env.MCP_READ_ONLY || ""),
+    allowHardDelete: /^(1|true|yes)$/i.test(env.MCP_ALLOW_HARD_DELETE || "")
+  };
+}
+
+export function isToolExposed(name, config, { allow, deny, readOnly } = {}) {
+  if (allow && !matchesToolPattern(allow, name)) return false;
+  if (deny && matchesToolPattern(deny, name)) return false;
+  if (readOnly && config?.annotations?.readOnlyHint !== true) return false;
+  return true;
+}
+
+/**
+ * Wrap an McpServer so only exposed tools get registered.
+ */
+export function withToolFilter(server, options = {}) {
+  if (!options.allow && !options.deny && !options.readOnly) return server;
+  return {
+    registerTool: (name, config, cb) =>
+      isToolExposed(name, config, options) ? server.registerTool(name, config, cb) : undefined
+  };
+}
@@ -0,0 +1,377 @@
+import { z } from "zod";
+import {
+  ok,
+  friendlySupabaseError,
+  ilikeExact,
+  isMissingColumn,
+  CREATE_FIELDS
+} from "./crm-helpers.js";
+
+/**
+ * vCards: writing contacts as vCard 4.0 (crm_export) and crm_import_vcard,
+ * which reads vCard 2.1, 3.0 and 4.0 text (one or many cards, as pasted from
+ * an email signature or a phone's address book export) into contacts.
+ *
+ * A card's ORG is looked up in companies by name, or created the way
+ * crm_upsert_company does, and the contact is linked to it through
+ * contacts.company_id like crm_link_contact_company. A card whose email
+ * matches an existing contact fills that contact's empty fields instead of
+ * creating a second one.
+ */
+
+const personName = (r) => r.full_name || [r.first_name, r.last_name].filter(Boolean).join(" ");
+
+// ---- Writing (RFC 6350)
+
+const vcardText = (value) => String(value).replace(/[\\,;]/g, "\\$&").replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  let out = "";
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (octets + size > 75) {
+      out += "\r\n ";
+      octets = 1;
+    }
+    out += ch;
+    octets += size;
+  }
+  return `${out}\r\n`;
+}
+
+// 2026-10-19T08:30:00.000Z -> 20261019T083000Z
+const vcardTimestamp = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+};
+
+/**
+ * A contact (with `company_name` when known) as one vCard 4.0.
+ */
+export function contactVcard(contact) {
+  const lines = ["BEGIN:VCARD", "VERSION:4.0", `UID:urn:uuid:${contact.id}`];
+  lines.push(`FN:${vcardText(personName(contact) || contact.email || contact.id)}`);
+  lines.push(`N:${[contact.last_name, contact.first_name].map(v => vcardText(v ?? "")).join(";")};;;`);
+  if (contact.company_name) lines.push(`ORG:${vcardText(contact.company_name)}`);
+  if (contact.title) lines.push(`TITLE:${vcardText(contact.title)}`);
+  if (contact.email) lines.push(`EMAIL;TYPE=work:${vcardText(contact.email)}`);
+  if (contact.phone) lines.push(`TEL;VALUE=text;TYPE=work,voice:${vcardText(contact.phone)}`);
+  if (contact.notes) lines.push(`NOTE:${vcardText(contact.notes)}`);
+  const rev = vcardTimestamp(contact.updated_at || contact.created_at);
+  if (rev) lines.push(`REV:${rev}`);
+  lines.push("END:VCARD");
+  return lines.map(foldLine).join("");
+}
+
+// ---- Reading
+
+// Split on `separator` outside double quotes
+function splitUnquoted(text, separator) {
+  const parts = [];
+  let current = "";
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === "\"") quoted = !quoted;
+    if (ch === separator && !quoted) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * `item1.EMAIL;TYPE=INTERNET,pref:a@b.de` -> { name: "EMAIL", params: { TYPE: ["internet", "pref"] }, value }.
+ * vCard 2.1 bare parameters (`TEL;WORK;VOICE:`) count as TYPE values.
+ */
+function parseLine(line) {
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === "\"") quoted = !quoted;
+    else if (line[i] === ":" && !quoted) { colon = i; break; }
+  }
+  if (colon < 1) return null;
+
+  const [head, ...rawParams] = splitUnquoted(line.slice(0, colon), ";");
+  const params = {};
+  for (const raw of rawParams) {
+    const eq = raw.indexOf("=");
+    const key = eq < 0 ? "TYPE" : raw.slice(0, eq).trim().toUpperCase();
+    const values = splitUnquoted(eq < 0 ? raw : raw.slice(eq + 1), ",").map(v => v.trim().replace(/^"|"$/g, ""));
+    params[key] = [...(params[key] || []), ...values.map(v => (key === "TYPE" ? v.toLowerCase() : v))];
+  }
+  return { name: head.slice(head.lastIndexOf(".") + 1).trim().toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// vCard 2.1 phone exports: ENCODING=QUOTED-PRINTABLE;CHARSET=UTF-8
+function decodeQuotedPrintable(value, charset = "utf-8") {
+  const bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    const hex = value[i] === "=" && value.slice(i + 1, i + 3);
+    if (hex && /^[0-9a-f]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(value[i], "utf8"));
+    }
+  }
+  const decoder = /^(iso-8859-1|latin1|windows-1252)$/i.test(charset) ? "latin1" : "utf8";
+  return Buffer.from(bytes).toString(decoder);
+}
+
+/**
+ * Every card in `text`, as lists of properties. A card missing its
+ * END:VCARD (text cut off while pasting) is kept.
+ * @returns {{ version: string|null, props: { name: string, params: Object, value: string }[] }[]}
+ */
+export function parseVcards(text) {
+  // Unfold: a line starting with a space or tab continues the previous one
+  const lines = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+  const cards = [];
+  let card = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const prop = parseLine(lines[i].trim());
+    if (!prop) continue;
+    if (prop.name === "BEGIN" && /^vcard$/i.test(prop.value.trim())) {
+      if (card) cards.push(card);
+      card = { version: null, props: [] };
+      continue;
+    }
+    if (prop.name === "END" && /^vcard$/i.test(prop.value.trim())) {
+      if (card) cards.push(card);
+      card = null;
+      continue;
+    }
+    if (!card) continue;
+
+    if (prop.params.ENCODING?.some(e => /^quoted-printable$/i.test(e)) || prop.params.TYPE?.includes("quoted-printable")) {
+      // Soft line breaks: "=" at the end of a line joins the next one
+      while (prop.value.endsWith("=") && i + 1 < lines.length) prop.value = prop.value.slice(0, -1) + lines[++i];
+      prop.value = decodeQuotedPrintable(prop.value, prop.params.CHARSET?.[0]);
+    }
+    if (prop.name === "VERSION") card.version = prop.value.trim();
+    else card.props.push(prop);
+  }
+  if (card?.props.length) cards.push(card);
+  return cards;
+}
+
+// Split a structured value (N, ORG) on unescaped semicolons, then unescape
+function components(value) {
+  const parts = [""];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === "\\" && i + 1 < value.length) parts[parts.length - 1] += value[i] + value[++i];
+    else if (value[i] === ";") parts.push("");
+    else parts[parts.length - 1] += value[i];
+  }
+  return parts.map(unescapeText);
+}
+
+const unescapeText = (value) => value.replace(/\\([nN]|[\\,;:])/g, (m, c) => (c === "n" || c === "N" ? "\n" : c)).trim();
+
+// Preference: PREF=1 (4.0) or TYPE=pref (3.0) first, then card order
+const preference = (prop) => Number(prop.params.PREF?.[0]) || (prop.params.TYPE?.includes("pref") ? 1 : 100);
+
+/**
+ * Contact fields from one card, plus `emails` (all of them, preferred first),
+ * `org` and `website`.
+ */
+export function vcardToContact(card) {
+  const all = (name) => card.props.filter(p => p.name === name).sort((a, b) => preference(a) - preference(b));
+  const one = (name) => {
+    const [prop] = all(name);
+    return prop ? unescapeText(prop.value) || undefined : undefined;
+  };
+
+  const [family, given, additional] = all("N").length ? components(all("N")[0].value) : [];
+  let first = [given, additional].filter(Boolean).join(" ");
+  let last = family || "";
+  const fn = one("FN");
+  const words = fn ? fn.split(/\s+/) : [];
+  if (!first && !last && words.length > 1) {
+    // No N: "Dr. Anna Maria Müller" -> first "Dr. Anna Maria", last "Müller".
+    // A single word ("FN:Anna") could be either, so it stays only in `name`
+    last = words.pop();
+    first = words.join(" ");
+  }
+
+  const emails = [...new Set(all("EMAIL").map(p => unescapeText(p.value).replace(/^mailto:/i, "")).filter(Boolean))];
+  const phone = one("TEL")?.replace(/^tel:/i, "");
+  const [org] = all("ORG").length ? components(all("ORG")[0].value) : [];
+
+  return {
+    first_name: first || undefined,
+    last_name: last || undefined,
+    email: emails[0],
+    phone,
+    title: one("TITLE"),
+    notes: one("NOTE"),
+    emails,
+    org: org || undefined,
+    website: one("URL"),
+    name: fn || [first, last].filter(Boolean).join(" ") || emails[0] || null
+  };
+}
+
+// ---- crm_import_vcard
+
+const contactSchema = z.object(CREATE_FIELDS.contact);
+
+// Contact columns a card can fill; title and notes may not exist in every schema
+const CARD_FIELDS = ["first_name", "last_name", "email", "phone", "title", "notes"];
+const OPTIONAL_COLUMNS = ["title", "notes"];
+
+// Run write(values); drop optional columns the contacts table doesn't have and retry
+async function withoutMissingColumns(values, write) {
+  let payload = values;
+  for (;;) {
+    const { data, error } = await write(payload);
+    const missing = error && OPTIONAL_COLUMNS.find(c => c in payload && isMissingColumn(error, c));
+    if (!missing) {
+      if (error) friendlySupabaseError("contacts", error);
+      return data;
+    }
+    payload = Object.fromEntries(Object.entries(payload).filter(([k]) => k !== missing));
+  }
+}
+
+/**
+ * Company for an ORG name: an existing one (same name, ignoring case), or
+ * one created like crm_upsert_company. Cached per call in `companies`.
+ */
+async function resolveCompany(supabase, audit, companies, org, website, dryRun) {
+  const key = org.toLowerCase();
+  if (companies.has(key)) return companies.get(key);
+
+  const { data, error } = await supabase.from("companies").select("*").or(ilikeExact("name", org));
+  if (error) friendlySupabaseError("companies", error);
+  const existing = (data || []).find(c => c.name === org) ?? data?.[0];
+  let company;
+  if (existing) company = { id: existing.id, name: existing.name, created: false };
+  else if (dryRun) company = { id: null, name: org, created: true };
+  else {
+    const { data: created, error } = await supabase
+      .from("companies")
+      .upsert({ name: org, ...(website ? { website } : {}) }, { onConflict: "name", ignoreDuplicates: false })
+      .select()
+      .single();
+    if (error) friendlySupabaseError("companies", error);
+    await audit.record("companies", created.id, null, created);
+    company = { id: created.id, name: created.name, created: true };
+  }
+  companies.set(key, company);
+  return company;
+}
+
+// Why a card can't become a new contact, or null
+function createProblem(fields) {
+  const parsed = contactSchema.safeParse({ first_name: fields.first_name, last_name: fields.last_name, email: fields.email, phone: fields.phone });
+  if (parsed.success) return null;
+  if (!fields.first_name && !fields.last_name) {
+    return fields.name && fields.name !== fields.email && !/\s/.test(fields.name)
+      ? `"${fields.name}" is a single name; a new contact needs a first and a last name (add N:<last>;<first>;;; to the card)`
+      : "no name (N or FN); a new contact needs a first and a last name";
+  }
+  if (!fields.first_name || !fields.last_name) {
+    return `no ${fields.first_name ? "last" : "first"} name; a new contact needs both (N:<last>;<first>;;;)`;
+  }
+  return parsed.error.issues.map(i => `${i.path.join(".")}: ${i.message}`).join("; ");
+}
+
+async function importCard(supabase, audit, card, companies, dryRun) {
+  const fields = vcardToContact(card);
+  const report = { name: fields.name, email: fields.email ?? null };
+
+  // Match by email before validating: a card with only an email or a single
+  // name can't create a contact, but can still fill an existing one
+  let matches = [];
+  if (fields.emails.length) {
+    const { data, error } = await supabase.from("contacts").select("*").or(fields.emails.map(e => ilikeExact("email", e)).join(","));
+    if (error) friendlySupabaseError("contacts", error);
+    matches = data || [];
+  }
+  if (matches.length > 1) {
+    return { ...report, status: "invalid", message: `email matches ${matches.length} contacts (${matches.map(m => m.id).join(", ")}); merge them first with crm_merge_contacts` };
+  }
+  if (!matches.length) {
+    const problem = createProblem(fields);
+    if (problem) return { ...report, status: "invalid", message: problem };
+  }
+
+  const company = fields.org ? await resolveCompany(supabase, audit, companies, fields.org, fields.website, dryRun) : null;
+  if (company) report.company = company;
+
+  if (matches.length) {
+    const [contact] = matches;
+    const values = { ...fields, email: contactSchema.shape.email.safeParse(fields.email).success ? fields.email : undefined };
+    // Fill what the contact lacks; never overwrite
+    const patch = {};
+    for (const field of CARD_FIELDS) if (values[field] && !contact[field]) patch[field] = values[field];
+    if (company && !contact.company_id) patch.company_id = company.id;
+    else if (company && contact.company_id !== company.id) report.company_kept = contact.company_id;
+
+    if (Object.keys(patch).length && !dryRun) {
+      await audit.write("contacts", contact.id, () => withoutMissingColumns(patch, values =>
+        supabase.from("contacts").update(values).eq("id", contact.id).select().single()));
+    }
+    return { ...report, status: "matched", contact_id: contact.id, filled: Object.keys(patch) };
+  }
+
+  if (dryRun) return { ...report, status: "created", contact_id: null };
+  const values = Object.fromEntries(CARD_FIELDS.filter(f => fields[f]).map(f => [f, fields[f]]));
+  const created = await audit.write("contacts", null, () => withoutMissingColumns({ ...values, company_id: company?.id ?? null }, values =>
+    supabase.from("contacts").insert([values]).select().single()));
+  return { ...report, status: "created", contact_id: created.id };
+}
+
+/**
+ * Register crm_import_vcard.
+ * @param {Object} server - MCP server (or the wrapped facade from registerCrmTools)
+ * @param {Object} supabase - The Supabase client instance
+ */
+export function registerVcardTools(server, supabase) {
+  server.registerTool(
+    "crm_import_vcard",
+    {
+      title: "Import vCards",
+      description: "Create contacts from vCard 2.1/3.0/4.0 text (one or more cards, e.g. from an email signature or a phone export). Each card's ORG is matched to a company by name, or the company is created, and the contact linked to it. A card whose email matches an existing contact fills that contact's empty fields instead of creating a duplicate; such a card needs no full name. New contacts need a first and a last name. Reports which cards matched existing contacts and which were created; dry_run reports without writing.",
+      inputSchema: {
+        vcard: z.string().min(1).max(1_000_000),
+        dry_run: z.boolean().optional()
+      }
+    },
+    async ({ vcard, dry_run = false }, { audit }) => {
+      const cards = parseVcards(vcard);
+      if (!cards.length) throw new Error("No vCard found. Cards start with BEGIN:VCARD and end with END:VCARD.");
+
+      const companies = new Map();
+      const results = [];
+      for (const [i, card] of cards.entries()) {
+        try {
+          results.push({ card: i + 1, ...(await importCard(supabase, audit, card, companies, dry_run)) });
+        } catch (e) {
+          results.push({ card: i + 1, name: vcardToContact(card).name, status: "failed", message: e.message });
+        }
+      }
+
+      const count = (status) => results.filter(r => r.status === status).length;
+      const newCompanies = [...companies.values()].filter(c => c.created).length;
+      const parts = [
+        `${count("created")} ${dry_run ? "would be created" : "created"}`,
+        `${count("matched")} matched existing contacts by email`,
+        ...["invalid", "failed"].filter(count).map(s => `${count(s)} ${s}`)
+      ];
+      return ok(`${dry_run ? "Dry run: " : ""}${cards.length} cards: ${parts.join(", ")}${newCompanies ? `; ${newCompanies} new ${newCompanies === 1 ? "company" : "companies"}` : ""}.`, {
+        dry_run,
+        cards: results
+      });
+    }
+  );
+}
@@ -3,6 +3,13 @@ const nextConfig = {
   experimental: {
     serverComponentsExternalPackages: ['@modelcontextprotocol/sdk']
   },
+  // RFC 9728 metadata lives under /.well-known, which the app router can't host directly
+  async rewrites() {
+    return [
+      { source: "/.well-known/oauth-protected-resource", destination: "/api/oauth-protected-resource" },
+      { source: "/.well-known/oauth-protected-resource/:path*", destination: "/api/oauth-protected-resource" }
+    ]
+  },
   webpack: (config, { isServer }) => {
     if (isServer) {
       config.externals.push('@modelcontextprotocol/sdk');
@@ -0,0 +1,19 @@
+-- Audit trail written by every CRM write tool (lib/audit.js)
+create table if not exists public.crm_audit_log (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  actor text not null,
+  tool text not null,
+  args jsonb not null default '{}'::jsonb,
+  table_name text not null,
+  record_id text,
+  before jsonb,
+  after jsonb
+);
+
+create index if not exists crm_audit_log_record_idx on public.crm_audit_log (table_name, record_id, created_at desc);
+create index if not exists crm_audit_log_actor_idx on public.crm_audit_log (actor, created_at desc);
+create index if not exists crm_audit_log_created_at_idx on public.crm_audit_log (created_at desc);
+
+-- Only the service role (which bypasses RLS) reads and writes the log
+alter table public.crm_audit_log enable row level security;
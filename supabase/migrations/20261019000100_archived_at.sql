@@ -0,0 +1,6 @@
+-- Soft delete for crm_archive_* / crm_restore_* (lib/archive-tools.js).
+-- Search tools hide rows where archived_at is set.
+alter table public.contacts add column if not exists archived_at timestamptz;
+alter table public.companies add column if not exists archived_at timestamptz;
+alter table public.deals add column if not exists archived_at timestamptz;
+alter table public.leads add column if not exists archived_at timestamptz;
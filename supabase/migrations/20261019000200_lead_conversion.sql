@@ -0,0 +1,5 @@
+-- Links from a converted lead to the records crm_convert_lead created (lib/lead-conversion.js)
+alter table public.leads add column if not exists converted_at timestamptz;
+alter table public.leads add column if not exists converted_company_id uuid references public.companies (id) on delete set null;
+alter table public.leads add column if not exists converted_contact_id uuid references public.contacts (id) on delete set null;
+alter table public.leads add column if not exists converted_deal_id uuid references public.deals (id) on delete set null;
@@ -0,0 +1,12 @@
+-- Stage order for crm_list_stages / crm_create_stage / crm_reorder_stages (lib/pipeline-tools.js).
+-- Schemas that already order stages by sort_order or order_index keep using it.
+do $$
+begin
+  if not exists (
+    select 1 from information_schema.columns
+    where table_schema = 'public' and table_name = 'pipeline_stages'
+      and column_name in ('position', 'sort_order', 'order_index')
+  ) then
+    alter table public.pipeline_stages add column position integer;
+  end if;
+end $$;
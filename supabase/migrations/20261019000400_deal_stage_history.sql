@@ -0,0 +1,18 @@
+-- Stage/status transitions of deals, written on every deal change (lib/deal-history.js)
+create table if not exists public.deal_stage_history (
+  id uuid primary key default gen_random_uuid(),
+  deal_id uuid not null references public.deals (id) on delete cascade,
+  changed_at timestamptz not null default now(),
+  actor text,
+  tool text,
+  from_stage_id uuid,
+  to_stage_id uuid,
+  from_status text,
+  to_status text,
+  from_pipeline_id uuid,
+  to_pipeline_id uuid
+);
+
+create index if not exists deal_stage_history_deal_idx on public.deal_stage_history (deal_id, changed_at);
+
+alter table public.deal_stage_history enable row level security;
@@ -0,0 +1,28 @@
+-- Follow-up tasks, each linked to at most one contact, company, deal or lead (lib/task-tools.js)
+create table if not exists public.tasks (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  description text,
+  due_date date,
+  assignee text,
+  priority text not null default 'normal' check (priority in ('low', 'normal', 'high', 'urgent')),
+  status text not null default 'open' check (status in ('open', 'done', 'cancelled')),
+  contact_id uuid references public.contacts (id) on delete cascade,
+  company_id uuid references public.companies (id) on delete cascade,
+  deal_id uuid references public.deals (id) on delete cascade,
+  lead_id uuid references public.leads (id) on delete cascade,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  completed_at timestamptz,
+  constraint tasks_one_link check (num_nonnulls(contact_id, company_id, deal_id, lead_id) <= 1)
+);
+
+create index if not exists tasks_open_due_idx on public.tasks (due_date) where status = 'open';
+create index if not exists tasks_assignee_idx on public.tasks (assignee);
+create index if not exists tasks_contact_idx on public.tasks (contact_id);
+create index if not exists tasks_company_idx on public.tasks (company_id);
+create index if not exists tasks_deal_idx on public.tasks (deal_id);
+create index if not exists tasks_lead_idx on public.tasks (lead_id);
+
+alter table public.tasks enable row level security;
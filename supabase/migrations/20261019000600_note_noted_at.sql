@@ -0,0 +1,23 @@
+-- Note date for crm_list_notes / crm_get_timeline (lib/note-tools.js):
+-- activity_date, else created_at, so notes without an activity_date sort and
+-- filter by when they were written. Added where both columns are timestamptz;
+-- other notes tables keep ordering by activity_date (or created_at).
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['contact_notes', 'company_notes', 'deal_notes', 'lead_notes'] loop
+    if (
+      select count(*) from information_schema.columns
+      where table_schema = 'public' and table_name = t
+        and column_name in ('activity_date', 'created_at')
+        and data_type = 'timestamp with time zone'
+    ) = 2 and not exists (
+      select 1 from information_schema.columns
+      where table_schema = 'public' and table_name = t and column_name = 'noted_at'
+    ) then
+      execute format('alter table public.%I add column noted_at timestamptz generated always as (coalesce(activity_date, created_at)) stored', t);
+      execute format('create index if not exists %I on public.%I (noted_at)', t || '_noted_at_idx', t);
+    end if;
+  end loop;
+end $$;
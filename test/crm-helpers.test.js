@@ -0,0 +1,15 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { likeEscape, likePattern, ilikeExact, ilikeAny } from "../lib/crm-helpers.js";
+
+test("likeEscape makes ilike match wildcards and backslashes literally", () => {
+  assert.equal(likeEscape("100%_off\\"), "100\\%\\_off\\\\");
+  assert.equal(likeEscape(42), "42");
+  assert.equal(likePattern("a_b"), "%a\\_b%");
+});
+
+test("ilikeExact and ilikeAny quote values for .or() filters", () => {
+  assert.equal(ilikeExact("email", "a_b@x.de"), 'email.ilike."a\\\\_b@x.de"');
+  assert.equal(ilikeExact("name", 'Müller, "M" (GmbH)'), 'name.ilike."Müller, \\"M\\" (GmbH)"');
+  assert.equal(ilikeAny(["first_name", "last_name"], "an"), 'first_name.ilike."%an%",last_name.ilike."%an%"');
+});
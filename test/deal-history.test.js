@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dealTransition, stagePeriods } from "../lib/deal-history.js";
+import { dealOutcome } from "../lib/crm-helpers.js";
+
+test("dealTransition records creation and stage, status or pipeline changes only", () => {
+  const deal = { id: "d1", stage_id: "s1", status: "open", pipeline_id: "p1", title: "MRI" };
+  assert.deepEqual(dealTransition(null, deal), {
+    deal_id: "d1",
+    from_stage_id: null,
+    to_stage_id: "s1",
+    from_status: null,
+    to_status: "open",
+    from_pipeline_id: null,
+    to_pipeline_id: "p1"
+  });
+  assert.equal(dealTransition(deal, { ...deal, title: "MRI upgrade" }), null);
+  assert.equal(dealTransition(deal, { ...deal, stage_id: "s2" }).to_stage_id, "s2");
+  assert.equal(dealTransition(deal, { ...deal, status: "won" }).from_status, "open");
+});
+
+test("stagePeriods splits a deal's life at each stage change", () => {
+  const deal = { stage_id: "s3", created_at: "2026-01-01T00:00:00Z" };
+  const history = [
+    { from_stage_id: null, to_stage_id: "s1", to_status: "open", changed_at: "2026-01-01T00:00:00Z" },
+    { from_stage_id: "s1", to_stage_id: "s2", to_status: "open", changed_at: "2026-01-03T12:00:00Z" },
+    { from_stage_id: "s2", to_stage_id: "s3", to_status: "open", changed_at: "2026-01-04T12:30:00Z" }
+  ];
+  const periods = stagePeriods(deal, history, Date.parse("2026-01-05T12:30:00Z"));
+
+  assert.deepEqual(periods.map(p => [p.stage_id, p.duration_hours, p.duration]), [
+    ["s1", 60, "2d 12h"],
+    ["s2", 24.5, "1d 0h"],
+    ["s3", 24, "1d 0h"]
+  ]);
+  assert.equal(periods[2].current, true);
+  assert.equal(periods[2].to, "2026-01-05T12:30:00.000Z");
+});
+
+test("stagePeriods stops the last period when the deal is closed", () => {
+  const deal = { stage_id: "s2", created_at: "2026-01-01T00:00:00Z" };
+  const history = [
+    { from_stage_id: "s1", to_stage_id: "s2", to_status: "open", changed_at: "2026-01-02T00:00:00Z" },
+    { from_stage_id: "s2", to_stage_id: "s2", to_status: "Won", changed_at: "2026-01-02T00:45:00Z" }
+  ];
+  const periods = stagePeriods(deal, history, Date.parse("2026-02-01T00:00:00Z"));
+
+  assert.deepEqual(periods.map(p => [p.stage_id, p.duration]), [["s1", "1d 0h"], ["s2", "45m"]]);
+  assert.equal(periods[1].current, false);
+});
+
+test("stagePeriods without history is one open period in the current stage", () => {
+  const periods = stagePeriods({ stage_id: "s1", created_at: "2026-01-01T00:00:00Z" }, [], Date.parse("2026-01-01T05:30:00Z"));
+  assert.deepEqual(periods.map(p => [p.stage_id, p.duration, p.current]), [["s1", "5h 30m", true]]);
+});
+
+test("stagePeriods reads statuses like the pipeline summary, so a plain \"closed\" ends the stay", () => {
+  assert.deepEqual(["open", "Won", "closed_lost", "canceled", "closed", "negotiation", null].map(dealOutcome),
+    ["open", "won", "lost", "cancelled", "closed", "open", "open"]);
+
+  const deal = { stage_id: "s1", created_at: "2026-01-01T00:00:00Z" };
+  const history = [{ from_stage_id: "s1", to_stage_id: "s1", to_status: "closed", changed_at: "2026-01-01T02:00:00Z" }];
+  const [period] = stagePeriods(deal, history, Date.parse("2026-02-01T00:00:00Z"));
+  assert.deepEqual([period.duration, period.current], ["2h 0m", false]);
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bestMatch, candidatePatterns } from "../lib/global-search.js";
+
+const fields = [["name", "Dr. Anna Müller"], ["email", "anna.mueller@praxis.de"], ["company", "Praxis Nord"]];
+
+test("bestMatch ranks exact email over exact, prefix, word prefix and substring", () => {
+  assert.deepEqual(bestMatch(fields, "anna.mueller@praxis.de", ["anna.mueller@praxis.de"]),
+    { field: "email", match: "exact_email", score: 100 });
+  assert.deepEqual(bestMatch(fields, "praxis nord", ["praxis", "nord"]),
+    { field: "company", match: "exact", score: 90 });
+  assert.equal(bestMatch(fields, "dr. an", ["dr.", "an"]).match, "prefix");
+  assert.deepEqual(bestMatch(fields, "muller", ["muller"]),
+    { field: "name", match: "word_prefix", score: 60 });
+  assert.equal(bestMatch(fields, "ueller", ["ueller"]).match, "substring");
+});
+
+test("bestMatch matches multi-word queries across fields, and nothing else", () => {
+  assert.deepEqual(bestMatch(fields, "anna nord", ["anna", "nord"]),
+    { field: "name", match: "all_words", score: 30 });
+  assert.equal(bestMatch(fields, "anna sud", ["anna", "sud"]), null);
+  assert.equal(bestMatch([["name", null], ["email", ""]], "anna", ["anna"]), null);
+});
+
+test("candidatePatterns asks for the best matches first and escapes wildcards", () => {
+  assert.deepEqual(candidatePatterns("Müller", "muller"),
+    ["Müller", "m_ll_r", "Müller%", "m_ll_r%", "% m_ll_r%", "%m_ll_r%"]);
+  assert.deepEqual(candidatePatterns("100%_off", "100%_off"),
+    ["100\\%\\_off", "100\\%\\__ff", "100\\%\\_off%", "100\\%\\__ff%", "% 100\\%\\__ff%", "%100\\%\\__ff%"]);
+  assert.deepEqual(candidatePatterns("bmw", "bmw"), ["bmw", "bmw%", "% bmw%", "%bmw%"]);
+});
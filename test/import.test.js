@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsvTable, parseImportData, resolveMapping } from "../lib/import-tools.js";
+
+test("parseCsvTable handles quotes, embedded delimiters, newlines and CRLF", () => {
+  const csv = "\uFEFFname,notes\r\n\"Müller, Anna\",\"said \"\"hi\"\"\nthen left\"\r\n\r\nWeber,\n";
+  assert.deepEqual(parseCsvTable(csv), [
+    ["name", "notes"],
+    ["Müller, Anna", "said \"hi\"\nthen left"],
+    ["Weber", ""]
+  ]);
+});
+
+test("parseCsvTable picks the delimiter used most in the first line", () => {
+  assert.deepEqual(parseCsvTable("a;b;c\n1,5;2;3"), [["a", "b", "c"], ["1,5", "2", "3"]]);
+  assert.deepEqual(parseCsvTable("a\tb\n1\t2"), [["a", "b"], ["1", "2"]]);
+  assert.throws(() => parseCsvTable("a,b\n\"open,2"), /inside a quoted field/);
+});
+
+test("parseImportData reads CSV rows and flags rows with extra fields", () => {
+  const { columns, records } = parseImportData(" Email ,Name\na@x.de,Anna\nb@x.de,Ben,extra\nc@x.de");
+  assert.deepEqual(columns, ["Email", "Name"]);
+  assert.deepEqual(records[0], { row: 1, values: { Email: "a@x.de", Name: "Anna" } });
+  assert.equal(records[1].problem, "has 3 fields, the header has 2");
+  assert.deepEqual(records[2].values, { Email: "c@x.de", Name: undefined });
+  assert.throws(() => parseImportData("a,a\n1,2"), /"a" appears twice/);
+  assert.throws(() => parseImportData(""), /empty/);
+});
+
+test("parseImportData reads JSON arrays, or the one array inside an object", () => {
+  const { columns, records } = parseImportData('{"contacts": [{"email": "a@x.de"}, 3, {"name": "B"}]}');
+  assert.deepEqual(columns, ["email", "name"]);
+  assert.deepEqual(records[1], { row: 2, values: {}, problem: "not an object" });
+  assert.throws(() => parseImportData('{"a": [], "b": []}'), /one such array/);
+  assert.throws(() => parseImportData("[1,", "json"), /Invalid JSON/);
+});
+
+test("resolveMapping matches columns by name loosely; explicit mappings win", () => {
+  assert.deepEqual(resolveMapping("contact", ["First Name", "last-name", "E-Mail", "Mail"], { email: "Mail" }), {
+    first_name: "First Name",
+    last_name: "last-name",
+    email: "Mail"
+  });
+  assert.throws(() => resolveMapping("contact", ["Mail"], { mail: "Mail" }), /Unknown contact field "mail"/);
+  assert.throws(() => resolveMapping("contact", ["Mail"], { email: "E-Mail" }), /no such column/);
+  assert.throws(() => resolveMapping("contact", ["Foo"]), /No column maps to a contact field/);
+});
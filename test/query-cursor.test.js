@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { queryHash, encodeCursor, decodeCursor, afterFilter } from "../lib/query-tools.js";
+
+const filters = [{ op: "eq", field: "status", value: "open" }];
+const sort = { field: "value", direction: "desc" };
+
+test("a cursor round-trips the last row's sort value and id", () => {
+  const hash = queryHash("deal", filters, sort);
+  const cursor = encodeCursor(hash, "value", { id: "d7", value: 1200 });
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodeCursor(cursor, hash), { h: hash, v: 1200, id: "d7" });
+
+  const nullCursor = encodeCursor(hash, "value", { id: "d8" });
+  assert.equal(decodeCursor(nullCursor, hash).v, null);
+});
+
+test("a cursor is rejected for a different query", () => {
+  const hash = queryHash("deal", filters, sort);
+  const cursor = encodeCursor(hash, "value", { id: "d7", value: 1200 });
+  assert.notEqual(queryHash("deal", filters, { ...sort, direction: "asc" }), hash);
+  assert.notEqual(queryHash("lead", filters, sort), hash);
+  assert.throws(() => decodeCursor(cursor, queryHash("deal", [], sort)), /different query/);
+});
+
+test("garbage cursors are invalid", () => {
+  const hash = queryHash("deal", [], undefined);
+  assert.throws(() => decodeCursor("not a cursor", hash), /Invalid cursor/);
+  assert.throws(() => decodeCursor(Buffer.from("[1,2]").toString("base64url"), hash), /Invalid cursor/);
+  assert.throws(() => decodeCursor(Buffer.from("null").toString("base64url"), hash), /Invalid cursor/);
+});
+
+test("afterFilter continues after the cursor with nulls last, then by id", () => {
+  assert.equal(
+    afterFilter("value", false, 1200, "d7"),
+    'value.lt."1200",value.is.null,and(value.eq."1200",id.gt."d7")'
+  );
+  assert.equal(
+    afterFilter("name", true, 'Say "hi"', "c1"),
+    'name.gt."Say \\"hi\\"",name.is.null,and(name.eq."Say \\"hi\\"",id.gt."c1")'
+  );
+  assert.equal(afterFilter("value", true, null, "d7"), 'and(value.is.null,id.gt."d7")');
+});
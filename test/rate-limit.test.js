@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { RateLimiter, rateLimitRulesFromEnv } from "../lib/rate-limit.js";
+
+test("rateLimitRulesFromEnv reads global, write and per-tool limits", () => {
+  const rules = rateLimitRulesFromEnv({
+    MCP_RATE_LIMIT_CALLS_PER_MINUTE: "60",
+    MCP_RATE_LIMIT_WRITES_PER_HOUR: "200",
+    MCP_RATE_LIMIT_TOOLS: "crm_search_deals=20/minute, crm_create_*=100/hour"
+  });
+  assert.deepEqual(rules, [
+    { id: "calls", tools: ["*"], limit: 60, windowMs: 60_000 },
+    { id: "writes", writesOnly: true, limit: 200, windowMs: 3_600_000 },
+    { id: "tool:crm_search_deals", tools: ["crm_search_deals"], perTool: true, limit: 20, windowMs: 60_000 },
+    { id: "tool:crm_create_*", tools: ["crm_create_*"], perTool: true, limit: 100, windowMs: 3_600_000 }
+  ]);
+  assert.deepEqual(rateLimitRulesFromEnv({ MCP_RATE_LIMIT_CALLS_PER_MINUTE: "0" }), []);
+  assert.throws(() => rateLimitRulesFromEnv({ MCP_RATE_LIMIT_TOOLS: "crm_get_*=10/fortnight" }), /Invalid rate/);
+  assert.throws(() => rateLimitRulesFromEnv({ MCP_RATE_LIMIT_TOOLS: "crm_get_*" }), /Invalid MCP_RATE_LIMIT_TOOLS entry/);
+});
+
+test("a batch over the limit is rejected without using up the quota", async () => {
+  const limiter = new RateLimiter({ rules: [{ id: "calls", tools: ["*"], limit: 3, windowMs: 60_000 }] });
+  assert.equal(await limiter.consume("alice", ["crm_get_contact", "crm_get_deal"]), null);
+
+  const rejected = await limiter.consume("alice", ["crm_get_contact", "crm_get_deal"]);
+  assert.equal(rejected.toolName, "crm_get_contact");
+  assert.match(rejected.message, /3 tool calls per minute/);
+  assert.ok(rejected.retryAfter >= 1 && rejected.retryAfter <= 60);
+
+  assert.equal(await limiter.consume("alice", ["crm_get_contact"]), null);
+  assert.notEqual(await limiter.consume("alice", ["crm_get_contact"]), null);
+  assert.equal(await limiter.consume("bob", ["crm_get_contact"]), null, "callers are counted separately");
+});
+
+test("counters reset when the window ends", async () => {
+  const limiter = new RateLimiter({ rules: [{ id: "calls", tools: ["*"], limit: 1, windowMs: 50 }] });
+  assert.equal(await limiter.consume("alice", ["crm_get_contact"]), null);
+  assert.notEqual(await limiter.consume("alice", ["crm_get_contact"]), null);
+  await sleep(60);
+  assert.equal(await limiter.consume("alice", ["crm_get_contact"]), null);
+});
+
+test("per-tool rules count each matching tool separately; write rules skip read tools", async () => {
+  const limiter = new RateLimiter({
+    rules: [
+      { id: "tool:crm_search_*", tools: ["crm_search_*"], perTool: true, limit: 1, windowMs: 60_000 },
+      { id: "writes", writesOnly: true, limit: 1, windowMs: 60_000 }
+    ],
+    isWriteTool: (name) => !name.startsWith("crm_search_")
+  });
+  assert.equal(await limiter.consume("alice", ["crm_search_contacts", "crm_search_deals"]), null);
+  assert.match((await limiter.consume("alice", ["crm_search_deals"])).message, /1 calls to crm_search_deals per minute/);
+
+  assert.equal(await limiter.consume("alice", ["crm_create_task"]), null);
+  assert.match((await limiter.consume("alice", ["crm_update_deal"])).message, /1 write calls per minute/);
+});
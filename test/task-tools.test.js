@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { registerTaskTools } from "../lib/task-tools.js";
+import { withAccessControl, BUILTIN_ROLES } from "../lib/access-control.js";
+
+const tasks = [
+  { id: "t1", title: "Call Anna", status: "open", contact_id: "c1" },
+  { id: "t2", title: "Send offer", status: "open", deal_id: "d1" },
+  { id: "t3", title: "Tidy up", status: "open" },
+  { id: "t4", title: "Visit", status: "open", contact_id: "c1", lead_id: "l1" }
+];
+
+// Just enough of the Supabase query builder for the task tools: eq/is filters, everything else ignored
+function fakeSupabase(rows) {
+  const calls = [];
+  const from = (table) => {
+    const filters = [];
+    let patch = null;
+    const result = () => {
+      const data = rows.filter(r => filters.every(f => f(r)));
+      if (patch) for (const r of data) Object.assign(r, patch);
+      return { data, count: data.length, error: null };
+    };
+    const q = {
+      select: () => q,
+      update: (values) => { patch = values; calls.push(["update", table]); return q; },
+      insert: () => { calls.push(["insert", table]); return q; },
+      eq: (col, v) => { filters.push(r => r[col] === v); return q; },
+      is: (col, v) => { calls.push(["is", col]); filters.push(r => (r[col] ?? null) === v); return q; },
+      not: () => q, lt: () => q, gt: () => q, ilike: () => q, order: () => q,
+      range: () => q,
+      maybeSingle: async () => ({ data: result().data[0] ?? null, error: null }),
+      single: async () => ({ data: result().data[0], error: null }),
+      then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+    };
+    return q;
+  };
+  return { from, calls };
+}
+
+// The task tools behind a role that may only see contacts
+function contactOnlyTools(supabase) {
+  const policy = { roles: { ...BUILTIN_ROLES, "contact-rep": { allow: ["*"], entities: ["contact"] } }, defaultRole: "contact-rep" };
+  const tools = {};
+  const server = { registerTool: (name, config, cb) => { tools[name] = cb; } };
+  registerTaskTools(withAccessControl(server, policy), supabase);
+  const audit = { write: (table, id, mutate) => mutate() };
+  return (name, args) => tools[name](args, { audit });
+}
+
+const json = (result) => JSON.parse(result.content[1].text.replace(/^\s*Result:/, ""));
+
+test("crm_list_tasks leaves out tasks linked to record types the role may not see", async () => {
+  const supabase = fakeSupabase(structuredClone(tasks));
+  const call = contactOnlyTools(supabase);
+  const { items, hidden_entities } = json(await call("crm_list_tasks", {}));
+  assert.deepEqual(items.map(t => t.id), ["t1", "t3"]);
+  assert.deepEqual(hidden_entities, ["company", "deal", "lead"]);
+  assert.deepEqual(supabase.calls.filter(c => c[0] === "is").map(c => c[1]), ["company_id", "deal_id", "lead_id"]);
+});
+
+test("crm_complete_task and crm_reschedule_task refuse tasks linked to hidden record types", async () => {
+  const supabase = fakeSupabase(structuredClone(tasks));
+  const call = contactOnlyTools(supabase);
+  await assert.rejects(call("crm_complete_task", { task_id: "t2", note: "Sent" }), /Access denied: task t2 is linked to deal records/);
+  await assert.rejects(call("crm_reschedule_task", { task_id: "t4", due_date: "2026-11-02" }), /Access denied: task t4 is linked to lead records/);
+  assert.deepEqual(supabase.calls, []);
+
+  await call("crm_reschedule_task", { task_id: "t1", due_date: "2026-11-02" });
+  assert.deepEqual(supabase.calls, [["update", "tasks"]]);
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseVcards, vcardToContact, contactVcard } from "../lib/vcard.js";
+
+const fromText = (text) => parseVcards(text).map(vcardToContact);
+
+test("parseVcards unfolds continuation lines and keeps a card cut off before END", () => {
+  const cards = parseVcards([
+    "BEGIN:VCARD",
+    "VERSION:4.0",
+    "FN:Jonas Weber",
+    "TITLE:Einkauf mit einem sehr langen Titel der über mehrere Zeilen gef",
+    " altet wurde",
+    "END:VCARD",
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    "FN:Solo Cut Off",
+    "EMAIL:solo@example.com",
+    ""
+  ].join("\r\n"));
+  assert.equal(cards.length, 2);
+  assert.equal(cards[0].version, "4.0");
+  assert.equal(vcardToContact(cards[0]).title, "Einkauf mit einem sehr langen Titel der über mehrere Zeilen gefaltet wurde");
+  assert.equal(vcardToContact(cards[1]).email, "solo@example.com");
+});
+
+test("parseVcards decodes vCard 2.1 quoted-printable values and bare parameters", () => {
+  const [card] = parseVcards([
+    "BEGIN:VCARD",
+    "VERSION:2.1",
+    "N;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:M=C3=BCller-L=C3=BCdenscheidt;J=C3=B6r=",
+    "g",
+    "NOTE;QUOTED-PRINTABLE;CHARSET=ISO-8859-1:Gr=FC=DFe",
+    "TEL;CELL;VOICE:0171 555",
+    "END:VCARD"
+  ].join("\n"));
+  assert.deepEqual(card.props.find(p => p.name === "TEL").params, { TYPE: ["cell", "voice"] });
+  const contact = vcardToContact(card);
+  assert.equal(contact.last_name, "Müller-Lüdenscheidt");
+  assert.equal(contact.first_name, "Jörg");
+  assert.equal(contact.notes, "Grüße");
+  assert.equal(contact.phone, "0171 555");
+});
+
+test("vcardToContact prefers PREF and TYPE=pref values and unescapes text", () => {
+  const [v3, v4] = fromText([
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    "N:Müller;Anna;;Dr.;",
+    "ORG:Praxis Dr. Müller;Radiologie",
+    "EMAIL;TYPE=INTERNET:other@example.com",
+    "EMAIL;TYPE=INTERNET,PREF:anna@praxis.de",
+    "NOTE:Met at MEDICA\\, booth 3\\nCall in May",
+    "END:VCARD",
+    "BEGIN:VCARD",
+    "VERSION:4.0",
+    "FN:Jonas Weber",
+    "EMAIL;PREF=2:jonas@home.de",
+    "EMAIL;TYPE=work;PREF=1:mailto:j.weber@klinik-nord.de",
+    "TEL;VALUE=uri;TYPE=\"work,voice\":tel:+49-40-5555",
+    "item1.URL:https://klinik-nord.de",
+    "END:VCARD"
+  ].join("\n"));
+  assert.equal(v3.email, "anna@praxis.de");
+  assert.deepEqual(v3.emails, ["anna@praxis.de", "other@example.com"]);
+  assert.equal(v3.org, "Praxis Dr. Müller");
+  assert.equal(v3.notes, "Met at MEDICA, booth 3\nCall in May");
+  assert.equal(v3.name, "Anna Müller");
+  assert.equal(v4.email, "j.weber@klinik-nord.de");
+  assert.equal(v4.phone, "+49-40-5555");
+  assert.equal(v4.website, "https://klinik-nord.de");
+  assert.equal(v4.first_name, "Jonas");
+  assert.equal(v4.last_name, "Weber");
+});
+
+test("vcardToContact leaves a single-word FN out of first and last name", () => {
+  const [prince] = fromText("BEGIN:VCARD\nVERSION:3.0\nFN:Prince\nEND:VCARD");
+  assert.equal(prince.first_name, undefined);
+  assert.equal(prince.last_name, undefined);
+  assert.equal(prince.name, "Prince");
+});
+
+test("contactVcard folds long lines at 75 octets and reads back unchanged", () => {
+  const contact = {
+    id: "00000000-0000-4000-9000-000000000010",
+    first_name: "Anna",
+    last_name: "Müller; Praxis",
+    email: "anna@praxis.de",
+    phone: "+49 30 123",
+    title: "Chefärztin",
+    company_name: "Praxis Dr. Müller, Radiologie",
+    notes: `a, b; c\\d\n${"é".repeat(60)}`,
+    updated_at: "2026-10-19T08:30:00.000Z"
+  };
+  const text = contactVcard(contact);
+  for (const line of text.split("\r\n")) assert.ok(Buffer.byteLength(line) <= 75, line);
+  assert.match(text, /\r\nREV:20261019T083000Z\r\n/);
+
+  const back = vcardToContact(parseVcards(text)[0]);
+  for (const field of ["first_name", "last_name", "email", "phone", "title", "notes"]) {
+    assert.equal(back[field], contact[field], field);
+  }
+  assert.equal(back.org, contact.company_name);
+});